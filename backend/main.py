@@ -1,17 +1,22 @@
 import os
+import httpx
 from datetime import datetime, timezone
 from fastapi import FastAPI, HTTPException
 from fastapi.middleware.cors import CORSMiddleware
 from pydantic import BaseModel
 from elasticsearch import Elasticsearch
-from opentelemetry import trace, propagate
-from opentelemetry.sdk.trace import TracerProvider
+from opentelemetry import baggage, trace, propagate
+from opentelemetry.trace import SpanKind, Status, StatusCode
+from opentelemetry.sdk.trace import SpanProcessor, TracerProvider
 from opentelemetry.sdk.trace.export import BatchSpanProcessor
 from opentelemetry.exporter.otlp.proto.http.trace_exporter import OTLPSpanExporter
 from opentelemetry.sdk.resources import Resource
 from opentelemetry.semconv.resource import ResourceAttributes
 from opentelemetry.instrumentation.fastapi import FastAPIInstrumentor
 from opentelemetry.trace.propagation.tracecontext import TraceContextTextMapPropagator
+from opentelemetry.baggage.propagation import W3CBaggagePropagator
+from opentelemetry.propagators.b3 import B3MultiFormat, B3SingleFormat
+from opentelemetry.propagators.composite import CompositePropagator
 
 # Initialize OpenTelemetry
 resource = Resource(attributes={
@@ -19,15 +24,35 @@ resource = Resource(attributes={
     ResourceAttributes.DEPLOYMENT_ENVIRONMENT: "development",
 })
 
+class BaggageSpanProcessor(SpanProcessor):
+    """Copies baggage entries sent by the frontend (session.id, feature.flag, ...) onto every span as attributes"""
+
+    def on_start(self, span, parent_context=None):
+        for key, value in baggage.get_all(parent_context).items():
+            span.set_attribute(key, str(value))
+
+
 provider = TracerProvider(resource=resource)
+provider.add_span_processor(BaggageSpanProcessor())
 processor = BatchSpanProcessor(OTLPSpanExporter(
     endpoint="http://otel-collector:4318/v1/traces"
 ))
 provider.add_span_processor(processor)
 trace.set_tracer_provider(provider)
 
-# Set propagator for distributed tracing (extracts trace context from requests)
-propagate.set_global_textmap(TraceContextTextMapPropagator())
+# Set propagators for distributed tracing (extract trace context and baggage from requests).
+# Same names as the frontend's `propagators` setting, e.g. OTEL_PROPAGATORS=tracecontext,baggage,b3multi
+PROPAGATORS = {
+    "tracecontext": TraceContextTextMapPropagator,
+    "baggage": W3CBaggagePropagator,
+    "b3": B3SingleFormat,
+    "b3multi": B3MultiFormat,
+}
+propagator_names = [name.strip() for name in os.getenv("OTEL_PROPAGATORS", "tracecontext,baggage").split(",") if name.strip()]
+unknown_propagators = [name for name in propagator_names if name not in PROPAGATORS]
+if unknown_propagators:
+    raise ValueError(f"Unknown OTEL_PROPAGATORS {unknown_propagators}; expected some of {list(PROPAGATORS)}")
+propagate.set_global_textmap(CompositePropagator([PROPAGATORS[name]() for name in propagator_names]))
 
 # Get tracer
 tracer = trace.get_tracer(__name__)
@@ -42,7 +67,7 @@ app.add_middleware(
     allow_credentials=True,
     allow_methods=["*"],
     allow_headers=["*"],
-    expose_headers=["traceparent", "tracestate"],  # Expose trace context headers
+    expose_headers=["traceparent", "tracestate"],  # Expose trace context headers (baggage and b3 are request-only)
 )
 
 # Instrument FastAPI
@@ -52,6 +77,9 @@ FastAPIInstrumentor.instrument_app(app)
 ES_ENDPOINT = os.getenv("ELASTICSEARCH_ENDPOINT", "").rstrip("/").replace("/:443", ":443").replace("/:9200", ":9200")
 ES_API_KEY = os.getenv("ELASTICSEARCH_API")
 CACHE_INDEX = os.getenv("CACHE_INDEX", "weather-cache")
+WEATHER_API_KEY = os.getenv("WEATHER_API_KEY")
+WEATHER_API_URL = "https://api.weatherapi.com/v1/forecast.json"
+FORECAST_DAYS = 3
 
 print(f"Elasticsearch endpoint: {ES_ENDPOINT}")
 print(f"Cache index: {CACHE_INDEX}")
@@ -61,7 +89,9 @@ es_client = None
 if ES_ENDPOINT and ES_API_KEY:
     es_client = Elasticsearch(
         [ES_ENDPOINT],
-        api_key=ES_API_KEY
+        api_key=ES_API_KEY,
+        # A slow cache shouldn't hold up weather lookups; callers fall back to the weather API
+        request_timeout=2,
     )
 
     # Ensure the cache index exists
@@ -100,9 +130,8 @@ async def health():
     return {"status": "healthy", "cache_enabled": es_client is not None}
 
 
-@app.get("/api/cache/check")
-async def check_cache(city: str):
-    """Check if weather data is cached for a city"""
+def read_cache(city: str) -> dict:
+    """Look up cached weather for a city; returns the /api/cache/check response body"""
 
     if not es_client:
         return {"cached": False, "data": None, "reason": "cache_disabled"}
@@ -156,33 +185,134 @@ async def check_cache(city: str):
             return {"cached": False, "data": None, "reason": "error"}
 
 
-@app.post("/api/cache/write")
-async def write_cache(request: CacheWriteRequest):
-    """Write weather data to cache"""
-
-    if not es_client:
-        raise HTTPException(status_code=503, detail="Cache not configured")
+def store_cache(city: str, weather_data: dict):
+    """Write weather data to the cache; raises if Elasticsearch rejects it"""
 
     with tracer.start_as_current_span("cache.write") as span:
         span.set_attribute("cache.backend", "elasticsearch")
-        span.set_attribute("cache.key", request.city)
+        span.set_attribute("cache.key", city)
 
         try:
-            doc_id = request.city.lower().replace(" ", "-")
+            doc_id = city.lower().replace(" ", "-")
             cache_doc = {
-                "city": request.city,
-                "weather": request.weather_data,
+                "city": city,
+                "weather": weather_data,
                 "timestamp": datetime.now(timezone.utc).isoformat()
             }
 
             es_client.index(index=CACHE_INDEX, id=doc_id, document=cache_doc)
             span.set_attribute("cache.write.success", True)
-            print(f"Cached weather data for {request.city}")
-
-            return {"success": True, "city": request.city}
+            print(f"Cached weather data for {city}")
 
         except Exception as e:
             span.set_attribute("cache.write.success", False)
             span.set_attribute("cache.error", str(e))
-            print(f"Cache write error for {request.city}: {e}")
-            raise HTTPException(status_code=500, detail=f"Cache write failed: {str(e)}")
+            print(f"Cache write error for {city}: {e}")
+            raise
+
+
+async def fetch_origin_weather(city: str) -> dict:
+    """Fetch current conditions, air quality and forecast from weatherapi.com; the API key never leaves the backend"""
+
+    with tracer.start_as_current_span("weather.fetch.origin", kind=SpanKind.CLIENT) as span:
+        # The query string carries the API key, so only the URL without it is recorded
+        span.set_attribute("http.request.method", "GET")
+        span.set_attribute("server.address", "api.weatherapi.com")
+        span.set_attribute("url.path", "/v1/forecast.json")
+        span.set_attribute("weather.city", city)
+
+        try:
+            async with httpx.AsyncClient(timeout=10.0) as client:
+                response = await client.get(
+                    WEATHER_API_URL,
+                    params={"key": WEATHER_API_KEY, "q": city, "days": FORECAST_DAYS, "aqi": "yes"},
+                )
+        except httpx.HTTPError as e:
+            span.record_exception(e)
+            span.set_status(Status(StatusCode.ERROR, type(e).__name__))
+            raise HTTPException(status_code=502, detail="Weather API unreachable")
+
+        span.set_attribute("http.response.status_code", response.status_code)
+        body = response.json() if response.headers.get("content-type", "").startswith("application/json") else {}
+
+        if response.status_code >= 400:
+            message = body.get("error", {}).get("message", "Weather API error")
+            span.set_status(Status(StatusCode.ERROR, message))
+            # Client errors (e.g. an unknown city) are passed through; anything else is a bad gateway
+            raise HTTPException(status_code=response.status_code if response.status_code < 500 else 502, detail=message)
+
+        return body
+
+
+@app.get("/api/weather")
+async def get_weather(city: str, cache: str = "use"):
+    """Serve weather for a city from the cache, falling back to the weather API and caching the result.
+
+    cache=skip bypasses the cache entirely; the frontend's circuit breaker sends it while the cache is failing.
+    """
+
+    if not WEATHER_API_KEY:
+        raise HTTPException(status_code=503, detail="Weather API not configured")
+
+    with tracer.start_as_current_span("weather.get") as span:
+        span.set_attribute("weather.city", city)
+        use_cache = cache != "skip"
+        span.set_attribute("cache.skipped", not use_cache)
+
+        if use_cache:
+            cache_result = read_cache(city)
+        else:
+            cache_result = {"cached": False, "data": None, "reason": "skipped"}
+
+        if cache_result["cached"]:
+            span.set_attribute("weather.source", "cache")
+            return {
+                "data": cache_result["data"],
+                "source": "cache",
+                "age_seconds": cache_result["age_seconds"],
+            }
+
+        span.set_attribute("cache.miss_reason", cache_result["reason"])
+        weather_data = await fetch_origin_weather(city)
+        span.set_attribute("weather.source", "origin")
+
+        cached = False
+        cache_error = cache_result["reason"] == "error"
+        if es_client and use_cache:
+            try:
+                store_cache(city, weather_data)
+                cached = True
+            except Exception:
+                # The response is still good; it just won't be served from cache next time
+                cache_error = True
+        span.set_attribute("cache.write.success", cached)
+
+        return {
+            "data": weather_data,
+            "source": "origin",
+            "cache_miss_reason": cache_result["reason"],
+            "cached": cached,
+            # Lets the caller's circuit breaker tell a failing cache from a plain miss
+            "cache_error": cache_error,
+        }
+
+
+@app.get("/api/cache/check")
+async def check_cache(city: str):
+    """Check if weather data is cached for a city"""
+
+    return read_cache(city)
+
+
+@app.post("/api/cache/write")
+async def write_cache(request: CacheWriteRequest):
+    """Write weather data to cache"""
+
+    if not es_client:
+        raise HTTPException(status_code=503, detail="Cache not configured")
+
+    try:
+        store_cache(request.city, request.weather_data)
+        return {"success": True, "city": request.city}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Cache write failed: {str(e)}")
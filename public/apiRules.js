@@ -0,0 +1,44 @@
+/**
+ * URL Rules for the Demo's APIs
+ *
+ * Registers span naming rules for the APIs this app calls. Other
+ * teams register their own APIs the same way, without touching otelMethods.js.
+ */
+
+import { registerUrlRule } from './urlRules.js';
+
+const backendUrl = new URL(process.env.BACKEND_URL || 'http://localhost:8000');
+
+const extractWeatherLocation = (weather) => weather?.location && {
+  'weather.location.name': weather.location.name,
+  'weather.location.region': weather.location.region,
+  'weather.location.country': weather.location.country,
+  'weather.location.temp_f': weather.current?.temp_f,
+};
+
+registerUrlRule({
+  host: 'api.weatherapi.com',
+  path: '/v1/:endpoint',
+  name: 'automatic-weather-api',
+  attributePrefix: 'weather.api.',
+  extract: extractWeatherLocation,
+});
+
+// The backend's weather proxy wraps the weather API response in { data, source }
+registerUrlRule({
+  host: backendUrl.host,
+  path: '/api/weather',
+  name: 'weather-proxy-api',
+  extract: (body) => body?.data && {
+    ...extractWeatherLocation(body.data),
+    'weather.source': body.source,
+  },
+});
+
+registerUrlRule({
+  host: 'jsonplaceholder.typicode.com',
+  // Resource type (posts, users, todos, etc.) and optional ID
+  path: '/:resource/:resourceId?',
+  name: 'automatic-jsonplaceholder-api',
+  attributePrefix: 'api.',
+});
@@ -4,174 +4,63 @@
  * This file demonstrates various OpenTelemetry instrumentation patterns:
  * - Automatic instrumentation (fetch, XMLHttpRequest)
  * - Manual span creation with custom attributes
- * - Distributed tracing (browser → backend → Elasticsearch)
- * - Cache-first pattern with observability
- * - User interaction tracking (clicks, slider)
+ * - Distributed tracing (browser → nginx → backend → Elasticsearch / weather API)
+ * - Cache-first pattern with observability (browser cache → backend cache → API)
+ * - User interaction tracking (clicks, plus dwell, edits and abandonment for the slider and city input)
  * - Parent-child span relationships
  */
 
 // OpenTelemetry imports
 import { context, trace } from '@opentelemetry/api';
 import { initTelemetry } from './telemetry.js';
+import { setBaggage } from './baggage.js';
+import { getSessionId } from './session.js';
+import { ignoreFailedXhrs, initErrorTracking } from './errorTracking.js';
+
+// Span naming rules for the APIs this app calls
+import './apiRules.js';
 
 // UI utilities
 import { log, logToUI, initLogPanel } from './utility.js';
-
-initTelemetry();
+import { initTraceViewer } from './traceViewer.js';
+import { initSpanExport } from './spanExport.js';
+import { initWeatherView } from './weatherView.js';
+import { initInteractionTracking } from './interactionTracking.js';
+
+// Instrumented features
+import { getWeather, getWeatherBatch, parseCityList } from './weather.js';
+import { getFavorites, saveFavorites } from './favorites.js';
+import { runScenario } from './scenarios.js';
+import { SCENARIOS } from './scenarioLibrary.js';
+
+// Errors are shown in the log panel from the start. The UI is wired up without waiting for telemetry, whose
+// remote config fetch can take up to 2s; spans started before it's ready (including for early errors) aren't recorded
+initErrorTracking();
 initLogPanel();
+initTraceViewer();
+initSpanExport();
+initWeatherView();
+initInteractionTracking();
+
+initTelemetry().then(({ exporterUrls }) => {
+  // Failed exports to a collector that's down aren't app errors
+  ignoreFailedXhrs(exporterUrls);
+});
 
-const tracer = trace.getTracer('vanilla-frontend');
-const weatherApiKey = process.env.WEATHER_API_KEY;
-
-// Backend URL for caching
-const backendUrl = process.env.BACKEND_URL || 'http://localhost:8000';
-
-// Cache utility functions with instrumentation
-const checkWeatherCache = async (cityKey) => {
-  const span = tracer.startSpan('cache.check.backend');
-
-  return await context.with(trace.setSpan(context.active(), span), async () => {
-    span.setAttribute('cache.operation', 'read');
-    span.setAttribute('cache.key', cityKey);
-    span.setAttribute('cache.backend', 'fastapi');
-
-    try {
-      const url = `${backendUrl}/api/cache/check?city=${encodeURIComponent(cityKey)}`;
-
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const result = await response.json();
+// Sent as baggage so backend spans carry the same session.id as the frontend ones (resolved per request, as sessions rotate)
+setBaggage('session.id', getSessionId);
 
-        span.setAttribute('cache.hit', result.cached);
+const tracer = trace.getTracer('vanilla-frontend');
 
-        if (result.cached) {
-          span.setAttribute('cache.age_seconds', result.age_seconds);
-          log(`Cache hit for ${cityKey}`, 'success', { 'Age': `${result.age_seconds}s` });
-          span.end();
-          return result.data;
-        } else {
-          span.setAttribute('cache.miss_reason', result.reason || 'unknown');
-          log(`Cache miss for ${cityKey}`, 'info', { 'Reason': result.reason || 'unknown' });
-          span.end();
-          return null;
-        }
-      } else {
-        span.setAttribute('cache.hit', false);
-        span.setAttribute('cache.miss_reason', 'backend_error');
-        log(`Cache backend error for ${cityKey}`, 'error', { 'Status': response.status });
-        span.end();
-        return null;
-      }
-    } catch (error) {
-      span.setAttribute('cache.hit', false);
-      span.setAttribute('cache.error', error.message);
-      span.recordException(error);
-      span.end();
-      log('Cache check error', 'error', { 'Error': error.message });
-      return null;
-    }
+// Step failures are in the scenario's result; this only catches a run that throws
+const startScenario = (scenario) => {
+  runScenario(scenario).catch((e) => {
+    log('Scenario could not run', 'error', { 'Scenario': scenario?.name, 'Error': e.message });
   });
 };
 
-const cacheWeatherData = async (cityKey, weatherData) => {
-  const span = tracer.startSpan('cache.write.backend');
-
-  return await context.with(trace.setSpan(context.active(), span), async () => {
-    span.setAttribute('cache.operation', 'write');
-    span.setAttribute('cache.key', cityKey);
-    span.setAttribute('cache.backend', 'fastapi');
-
-    try {
-      const url = `${backendUrl}/api/cache/write`;
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          city: cityKey,
-          weather_data: weatherData
-        })
-      });
-
-      if (response.ok) {
-        span.setAttribute('cache.write.success', true);
-        log(`Cached weather data for ${cityKey}`, 'success');
-      } else {
-        span.setAttribute('cache.write.success', false);
-        span.setAttribute('cache.write.status', response.status);
-        log('Cache write failed', 'error', { 'Status': response.status, 'City': cityKey });
-      }
-
-      span.end();
-    } catch (error) {
-      span.setAttribute('cache.write.success', false);
-      span.setAttribute('cache.error', error.message);
-      span.recordException(error);
-      span.end();
-      log('Cache write error', 'error', { 'Error': error.message, 'City': cityKey });
-    }
-  });
-};
-
-const getDataCascade = () => {
-  // Log the cascade start
-  const activeSpan = trace.getSpan(context.active());
-  if (activeSpan) {
-    const spanContext = activeSpan.spanContext();
-    logToUI('API Cascade Started', spanContext, 'fetch', {
-      'Requests': '3 cascading requests',
-      'Endpoint': 'jsonplaceholder.typicode.com',
-      'Type': 'XMLHttpRequest + Fetch'
-    });
-  }
-
-  getData1('https://jsonplaceholder.typicode.com/posts/1').then(() => {
-    getData2('https://jsonplaceholder.typicode.com/users/1').then(() => {
-      log('API cascade: request 2 completed', 'info', { 'Endpoint': 'users/1' });
-    });
-    getData1('https://jsonplaceholder.typicode.com/todos/1').then(() => {
-      log('API cascade: request 3 completed', 'info', { 'Endpoint': 'todos/1' });
-    });
-    log('API cascade: request 1 completed', 'info', { 'Endpoint': 'posts/1' });
-  });
-}
-
-// Example using XMLHttpRequest instead of fetch
-const getData1 = (url) => {
-  return new Promise(async (resolve) => {
-    const req = new XMLHttpRequest();
-    req.open('GET', url, true);
-    req.setRequestHeader('Content-Type', 'application/json');
-    req.setRequestHeader('Accept', 'application/json');
-    req.send();
-    req.onload = function () {
-      resolve();
-    };
-  });
-}
-
-const getData2 = async (url) => {
-  try {
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-      },
-    });
-    return response;
-  } catch (error) {
-    log('Error in getData2', 'error', { 'Error': error.message, 'URL': url });
-  }
-}
+// The cascade runs as a scenario, so all three requests share one trace under a getDataCascade span
+const getDataCascade = () => startScenario(SCENARIOS['api-cascade']);
 
 // Manual span emitter tool for debugging
 const emitSpan = (action, value) => {
@@ -223,176 +112,73 @@ const subFunction = (action) => {
   return 1;
 }
 
-const renderWeather = (data) => {
-  const weatherContainer = document.querySelector('#weather');
-
-  const { location, current } = data;
-  const { name, region, country }  = location;
-  const { temp_f, condition } = current;
-
-  weatherContainer.innerHTML = `
-    <h2>${name}, ${region}, ${country}</h2>
-    <p>Temperature: ${temp_f}°F</p>
-    <p>Conditions: ${condition.text}</p>`
-
-  weatherContainer.style.display = 'block';
-
-  return weatherContainer;
-}
-
-const getWeather = async (input) => {
-  const cityKey = input || '98366';
-  const parentSpan = tracer.startSpan('getWeather');
-
-  return await context.with(trace.setSpan(context.active(), parentSpan), async () => {
-    parentSpan.setAttribute('weather.city', cityKey);
-    parentSpan.setAttribute('weather.has_cache', true);
-
-    try {
-      // Step 1: Check cache via backend
-      let weatherData = null;
-      let cacheHit = false;
-
-      weatherData = await checkWeatherCache(cityKey);
-      cacheHit = !!weatherData;
-      parentSpan.setAttribute('cache.used', true);
-      parentSpan.setAttribute('cache.hit', cacheHit);
-
-      // Step 2: If cache miss, fetch from API
-      if (!weatherData) {
-        const weatherEndpoint = `https://api.weatherapi.com/v1/current.json?key=${weatherApiKey}&q=${cityKey}&aqi=yes`;
-
-        logToUI('Weather API Fetch', parentSpan.spanContext(), 'fetch', {
-          'URL': weatherEndpoint.split('?')[0],
-          'City': cityKey,
-          'Cache': cacheHit ? 'Hit' : 'Miss',
-          'Method': 'GET'
-        });
-
-        const response = await fetch(weatherEndpoint);
-        const cloneForApp = response.clone();
-        weatherData = await cloneForApp.json();
-
-        parentSpan.setAttribute('weather.api_called', true);
-
-        // Step 3: Store in cache via backend
-        await cacheWeatherData(cityKey, weatherData);
-        parentSpan.setAttribute('cache.wrote', true);
-      } else {
-        parentSpan.setAttribute('weather.api_called', false);
-        parentSpan.setAttribute('weather.source', 'cache');
-
-        logToUI('Weather Cache Hit', parentSpan.spanContext(), 'fetch', {
-          'City': cityKey,
-          'Source': 'Backend Cache',
-          'API Call': 'Skipped'
-        });
-      }
+// Failed cities are shown in the grid; this only catches the comparison itself failing
+const compareWeather = (cities) => {
+  getWeatherBatch(cities).catch((e) => {
+    log('Error comparing weather', 'error', { 'Error': e.message });
+  });
+};
 
-      // Render the weather data
-      renderWeather(weatherData);
+// A comma-separated list is compared side by side; a single city (or none) gets the weather card
+const lookUpWeather = (input) => {
+  const cities = parseCityList(input);
+  if (cities.length > 1) {
+    compareWeather(cities);
+  } else {
+    // 'Seattle,' is one city; an empty list falls back to getWeather's default
+    getWeather(cities[0]);
+  }
+};
 
-      parentSpan.end();
-      return weatherData;
-    } catch (e) {
-      parentSpan.recordException(e);
-      parentSpan.setAttribute('error', true);
-      parentSpan.end();
-      log('Error fetching weather data', 'error', { 'Error': e.message });
-    }
-  });
-}
-  
 document.querySelector('#getWeather').addEventListener('click', () => {
   const input = document.querySelector('#weatherInput').value;
-  getWeather(input)
+  lookUpWeather(input);
 });
 
-document.querySelector('#button1').addEventListener('click', () => {
-  emitSpan('user.clicked.#button1', '#button1');
-});
-
-// Track slider interaction with start and end values
-let sliderTimeout;
-let sliderStartValue = null;
-
-// Capture initial value when interaction starts
-document.querySelector('#slider').addEventListener('mousedown', (e) => {
-  sliderStartValue = e.target.value;
+// Pressing Enter in the city box fetches weather too (traced as a weather-input.keydown span)
+document.querySelector('#weatherInput').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    lookUpWeather(e.target.value);
+  }
 });
 
-document.querySelector('#slider').addEventListener('touchstart', (e) => {
-  sliderStartValue = e.target.value;
+document.querySelector('#saveFavorites').addEventListener('click', () => {
+  const cities = parseCityList(document.querySelector('#weatherInput').value);
+  if (cities.length === 0) {
+    log('Enter one or more cities to save as favorites', 'warning');
+    return;
+  }
+  saveFavorites(cities);
+  log('Saved favorite cities', 'success', { 'Cities': cities.join(', ') });
 });
 
-// Create span with rich attributes when interaction completes
-document.querySelector('#slider').addEventListener('change', (e) => {
-  const endValue = parseInt(e.target.value);
-  const startValue = parseInt(sliderStartValue || endValue);
-  const delta = endValue - startValue;
-  const direction = delta > 0 ? 'increased' : delta < 0 ? 'decreased' : 'unchanged';
-
-  // Create a span with the slider as the action name
-  const span = tracer.startSpan('user.adjusted.slider');
-
-  context.with(trace.setSpan(context.active(), span), () => {
-    span.setAttribute('slider.start.value', startValue);
-    span.setAttribute('slider.end.value', endValue);
-    span.setAttribute('slider.delta', delta);
-    span.setAttribute('slider.direction', direction);
-    span.setAttribute('slider.magnitude', Math.abs(delta));
-
-    // Add context about the adjustment
-    let adjustmentType;
-    if (Math.abs(delta) >= 5) {
-      adjustmentType = 'large';
-      span.setAttribute('slider.adjustment', 'large');
-    } else if (Math.abs(delta) >= 2) {
-      adjustmentType = 'medium';
-      span.setAttribute('slider.adjustment', 'medium');
-    } else if (delta !== 0) {
-      adjustmentType = 'small';
-      span.setAttribute('slider.adjustment', 'small');
-    } else {
-      adjustmentType = 'none';
-      span.setAttribute('slider.adjustment', 'none');
-    }
-
-    // Log to UI
-    const spanContext = span.spanContext();
-    logToUI('user.adjusted.slider', spanContext, 'interaction', {
-      'Start': startValue,
-      'End': endValue,
-      'Delta': delta > 0 ? `+${delta}` : delta,
-      'Direction': direction,
-      'Adjustment': adjustmentType
-    });
-
-    span.end();
-  });
-
-  // Reset for next interaction
-  sliderStartValue = endValue;
+document.querySelector('#compareFavorites').addEventListener('click', () => {
+  const favorites = getFavorites();
+  if (favorites.length === 0) {
+    log('No favorite cities saved yet', 'warning', { 'Hint': 'Enter a comma-separated list and save it' });
+    return;
+  }
+  document.querySelector('#weatherInput').value = favorites.join(', ');
+  compareWeather(favorites);
 });
 
-// Visual feedback only (no span creation) for input events
-document.querySelector('#slider').addEventListener('input', (e) => {
-  const value = e.target.value;
-  clearTimeout(sliderTimeout);
-
-  // Only log to UI, don't create spans (prevents queue overflow)
-  sliderTimeout = setTimeout(() => {
-    const startVal = sliderStartValue || value;
-    const delta = parseInt(value) - parseInt(startVal);
-    logToUI('Slider Dragging', { traceId: 'UI-ONLY', spanId: 'NO-SPAN' }, 'interaction', {
-      'Current Value': value,
-      'Start Value': startVal,
-      'Delta': delta !== 0 ? (delta > 0 ? `+${delta}` : delta) : '0',
-      'Note': 'Span created on release'
-    });
-  }, 300); // Debounce by 300ms
+document.querySelector('#button1').addEventListener('click', () => {
+  emitSpan('user.clicked.#button1', '#button1');
 });
 
 document.querySelector('#button2').addEventListener('click', () => {
   getDataCascade()
 });
+
+const scenarioSelect = document.querySelector('#scenarioSelect');
+for (const [key, scenario] of Object.entries(SCENARIOS)) {
+  const option = document.createElement('option');
+  option.value = key;
+  option.textContent = key;
+  option.title = scenario.description;
+  scenarioSelect.appendChild(option);
+}
+
+document.querySelector('#runScenario').addEventListener('click', () => {
+  startScenario(SCENARIOS[scenarioSelect.value]);
+});
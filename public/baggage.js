@@ -0,0 +1,68 @@
+/**
+ * Baggage
+ *
+ * App-wide baggage entries (session.id, feature.flag, ...) sent with every
+ * request that receives trace headers, as a W3C `baggage` header. The
+ * backend copies them onto its spans as attributes, so backend traces can be
+ * filtered by the same session or flag as the frontend ones.
+ *
+ * Entries set on a context with propagation.setBaggage() win over app-wide
+ * ones with the same key. Baggage is sent in clear text to every traced
+ * backend: never put secrets or PII in it.
+ */
+
+import { propagation } from '@opentelemetry/api';
+import { W3CBaggagePropagator } from '@opentelemetry/core';
+
+// key → value, or a function returning the current value (null/undefined skips the entry)
+const entries = new Map();
+
+// Set an app-wide entry; pass a function for values that change, like a rotating session ID
+export const setBaggage = (key, value) => {
+  entries.set(key, value);
+};
+
+export const removeBaggage = (key) => {
+  entries.delete(key);
+};
+
+export const clearBaggage = () => {
+  entries.clear();
+};
+
+// Current app-wide entries with functions resolved, e.g. { 'session.id': '…', 'feature.flag': 'forecast-v2' }
+export const getBaggageEntries = () => {
+  const resolved = {};
+  for (const [key, value] of entries) {
+    const current = typeof value === 'function' ? value() : value;
+    if (current !== null && current !== undefined) {
+      resolved[key] = String(current);
+    }
+  }
+  return resolved;
+};
+
+// W3C baggage propagator that adds the app-wide entries to whatever baggage the context carries
+export class AppBaggagePropagator {
+  constructor() {
+    this._propagator = new W3CBaggagePropagator();
+  }
+
+  inject(ctx, carrier, setter) {
+    let baggage = propagation.getBaggage(ctx) || propagation.createBaggage();
+    for (const [key, value] of Object.entries(getBaggageEntries())) {
+      if (!baggage.getEntry(key)) {
+        baggage = baggage.setEntry(key, { value });
+      }
+    }
+    this._propagator.inject(propagation.setBaggage(ctx, baggage), carrier, setter);
+  }
+
+  extract(ctx, carrier, getter) {
+    return this._propagator.extract(ctx, carrier, getter);
+  }
+
+  fields() {
+    return this._propagator.fields();
+  }
+}
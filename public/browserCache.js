@@ -0,0 +1,116 @@
+/**
+ * Browser Cache Tier
+ *
+ * A two-level cache (in-memory Map in front of IndexedDB) with
+ * stale-while-revalidate semantics:
+ * - fresh (younger than ttlMillis): served as-is
+ * - stale (within staleWhileRevalidateMillis after that): served immediately
+ *   while the caller refreshes it in the background
+ * - expired: treated as a miss, and removed from both levels
+ *
+ * Concurrent loads for the same key are coalesced into a single request.
+ */
+
+import { openDatabase, requestToPromise } from './idb.js';
+
+const STORE_NAME = 'entries';
+
+export class BrowserCache {
+  constructor({ name, ttlMillis, staleWhileRevalidateMillis }) {
+    this._ttl = ttlMillis;
+    this._staleWindow = staleWhileRevalidateMillis;
+    this._memory = new Map();
+    this._inFlight = new Map();
+    this._db = openDatabase(name, STORE_NAME, { keyPath: 'key' });
+  }
+
+  _classify(entry, layer) {
+    const age = Date.now() - entry.storedAt;
+    if (age > this._ttl + this._staleWindow) {
+      return null;
+    }
+    return {
+      value: entry.value,
+      ageSeconds: Math.round(age / 1000),
+      state: age <= this._ttl ? 'fresh' : 'stale',
+      layer,
+    };
+  }
+
+  // Resolves to { value, ageSeconds, state: 'fresh' | 'stale', layer: 'memory' | 'indexeddb' } or null
+  async read(key) {
+    const memoryEntry = this._memory.get(key);
+    if (memoryEntry) {
+      const result = this._classify(memoryEntry, 'memory');
+      if (!result) {
+        await this._delete(key);
+      }
+      return result;
+    }
+
+    const db = await this._db;
+    if (!db) {
+      return null;
+    }
+
+    try {
+      const entry = await requestToPromise(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key));
+      if (!entry) {
+        return null;
+      }
+      const result = this._classify(entry, 'indexeddb');
+      if (!result) {
+        await this._delete(key);
+        return null;
+      }
+      // Promote to memory so the next read skips IndexedDB
+      this._memory.set(key, entry);
+      return result;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Expired entries are removed when read, so neither level grows without bound
+  async _delete(key) {
+    this._memory.delete(key);
+
+    const db = await this._db;
+    if (!db) {
+      return;
+    }
+
+    try {
+      await requestToPromise(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(key));
+    } catch (e) {
+      // Left for the next read to try again
+    }
+  }
+
+  async write(key, value) {
+    const entry = { key, value, storedAt: Date.now() };
+    this._memory.set(key, entry);
+
+    const db = await this._db;
+    if (!db) {
+      return;
+    }
+
+    try {
+      await requestToPromise(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(entry));
+    } catch (e) {
+      // The memory tier still serves this page if IndexedDB is full or unavailable
+    }
+  }
+
+  // Run loader once per key at a time; resolves to { result, coalesced }
+  async load(key, loader) {
+    if (this._inFlight.has(key)) {
+      return { result: await this._inFlight.get(key), coalesced: true };
+    }
+
+    const promise = loader().finally(() => this._inFlight.delete(key));
+    this._inFlight.set(key, promise);
+    return { result: await promise, coalesced: false };
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Telemetry Configuration
+ *
+ * Resolves the settings used by initTelemetry() so the same bundle can be
+ * deployed to different environments. Sources, lowest to highest priority:
+ *   1. Built-in defaults, overridden by build-time env vars (process.env.*)
+ *   2. The options object passed to initTelemetry(options)
+ *   3. An optional JSON file fetched at startup (default /telemetry-config.json)
+ * Every value is validated; invalid ones are reported and fall back to defaults.
+ */
+
+import { DEFAULT_REDACTION_RULES } from './redaction.js';
+import { PROPAGATOR_NAMES } from './propagation.js';
+import { hasExporter } from './exporters.js';
+
+const backendUrl = process.env.BACKEND_URL || 'http://localhost:8000';
+
+// Escape a URL so it can be used as a literal inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const DEFAULT_CONFIG = {
+  serviceName: process.env.OTEL_SERVICE_NAME || 'vanilla-frontend',
+  serviceVersion: process.env.OTEL_SERVICE_VERSION || '1.0.0',
+  environment: process.env.OTEL_DEPLOYMENT_ENVIRONMENT || 'development',
+  // Base URL of the collector's OTLP/HTTP receiver; /v1/traces, /v1/metrics and /v1/logs are appended
+  collectorUrl: process.env.OTEL_COLLECTOR_URL || 'http://localhost:4318',
+  batch: {
+    // Batch config to prevent overwhelming the collector
+    maxQueueSize: 2048,
+    maxExportBatchSize: 512,
+    scheduledDelayMillis: 1000, // Send every 1 second
+  },
+  // Span exporter backends (see exporters.js), each with optional batch overrides and options
+  exporters: process.env.OTEL_TRACES_EXPORTER
+    ? process.env.OTEL_TRACES_EXPORTER.split(',').map((name) => ({ name: name.trim() }))
+    : [{ name: 'otlp' }],
+  metricExportIntervalMillis: 5000,
+  // Recent spans kept in the browser for the telemetry panel's Export button
+  spanBufferSize: 1000,
+  sampling: {
+    // Share of new traces to keep when no rule matches (1 = keep everything)
+    ratio: 1,
+    // First match wins, e.g. { name: '^getWeather$', ratio: 1 }, { url: 'jsonplaceholder\\.typicode\\.com', ratio: 0.1 }
+    rules: [],
+    // Export a dropped trace anyway once an error is recorded in it
+    keepErrors: true,
+  },
+  // Scrubs secrets and PII from spans before export (see redaction.js for each rule)
+  redaction: DEFAULT_REDACTION_RULES,
+  // SPA route templates used to name route-change spans, e.g. ['/cities/:city']
+  routes: [],
+  // DOM events that create user-interaction spans (named from data-otel-* markup)
+  interactionEvents: ['click', 'input', 'change', 'submit', 'keydown'],
+  // Regex sources for URLs that should receive trace headers (required for distributed tracing)
+  propagateTraceHeaderCorsUrls: [escapeRegExp(new URL(backendUrl).host)],
+  // Header formats sent to those URLs: tracecontext, baggage, b3 (single header), b3multi
+  propagators: process.env.OTEL_PROPAGATORS
+    ? process.env.OTEL_PROPAGATORS.split(',').map((name) => name.trim())
+    : ['tracecontext', 'baggage'],
+  // Set to null to skip fetching runtime config
+  remoteConfigUrl: process.env.OTEL_REMOTE_CONFIG_URL || '/telemetry-config.json',
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+const isRatio = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+const isRegExpSource = (value) => {
+  try {
+    new RegExp(value);
+    return typeof value === 'string';
+  } catch (e) {
+    return false;
+  }
+};
+
+const isSamplingRuleList = (value) => Array.isArray(value) && value.every((rule) =>
+  isPlainObject(rule) &&
+  isRatio(rule.ratio) &&
+  (rule.name !== undefined || rule.url !== undefined) &&
+  (rule.name === undefined || isRegExpSource(rule.name)) &&
+  (rule.url === undefined || isRegExpSource(rule.url))
+);
+
+const BATCH_KEYS = ['maxQueueSize', 'maxExportBatchSize', 'scheduledDelayMillis'];
+
+// [{ name, batch?, options? }], where batch is false (export each span as it ends) or overrides for `batch`
+const isExporterList = (value) => Array.isArray(value) && value.length > 0 && value.every((entry) =>
+  isPlainObject(entry) &&
+  hasExporter(entry.name) &&
+  (entry.batch === undefined || entry.batch === false || (
+    isPlainObject(entry.batch) &&
+    Object.entries(entry.batch).every(([key, size]) => BATCH_KEYS.includes(key) && isPositiveInteger(size))
+  )) &&
+  (entry.options === undefined || isPlainObject(entry.options))
+);
+
+const isRegExpList = (value) => Array.isArray(value) && value.every((source) => {
+  return source instanceof RegExp || isRegExpSource(source);
+});
+
+// Validators keyed by dotted config path, with the message reported on failure
+const validators = {
+  serviceName: [isNonEmptyString, 'must be a non-empty string'],
+  serviceVersion: [isNonEmptyString, 'must be a non-empty string'],
+  environment: [isNonEmptyString, 'must be a non-empty string'],
+  collectorUrl: [isHttpUrl, 'must be an http(s) URL'],
+  'batch.maxQueueSize': [isPositiveInteger, 'must be a positive integer'],
+  'batch.maxExportBatchSize': [isPositiveInteger, 'must be a positive integer'],
+  'batch.scheduledDelayMillis': [isPositiveInteger, 'must be a positive integer'],
+  exporters: [isExporterList, 'must be a non-empty array of { name, batch?, options? } naming registered exporters (otlp, console, memory, zipkin or your own)'],
+  metricExportIntervalMillis: [isPositiveInteger, 'must be a positive integer'],
+  spanBufferSize: [isPositiveInteger, 'must be a positive integer'],
+  'sampling.ratio': [isRatio, 'must be a number between 0 and 1'],
+  'sampling.rules': [isSamplingRuleList, 'must be an array of { name?, url?, ratio } rules with valid regular expressions'],
+  'sampling.keepErrors': [(value) => typeof value === 'boolean', 'must be a boolean'],
+  'redaction.queryParamDenylist': [isStringList, 'must be an array of strings'],
+  'redaction.patterns': [(value) => Array.isArray(value) && value.every(isRegExpSource), 'must be an array of valid regular expressions'],
+  'redaction.attributeAllowlist': [(value) => value === null || isStringList(value), 'must be an array of attribute keys or null'],
+  'redaction.bodyAttributes': [isStringList, 'must be an array of strings'],
+  'redaction.maxBodyLength': [isPositiveInteger, 'must be a positive integer'],
+  'redaction.maxAttributeLength': [isPositiveInteger, 'must be a positive integer'],
+  routes: [(value) => isStringList(value) && value.every((route) => route.startsWith('/')), 'must be an array of paths starting with /'],
+  interactionEvents: [(value) => isStringList(value) && value.length > 0, 'must be a non-empty array of event names'],
+  propagateTraceHeaderCorsUrls: [isRegExpList, 'must be an array of valid regular expressions'],
+  propagators: [(value) => isStringList(value) && value.length > 0 && value.every((name) => PROPAGATOR_NAMES.includes(name)), `must be a non-empty array of ${PROPAGATOR_NAMES.join(', ')}`],
+  remoteConfigUrl: [(value) => value === null || isNonEmptyString(value), 'must be a URL string or null'],
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Deep merge for plain objects; arrays and other values are replaced
+const mergeConfig = (base, override) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((target, key) => target[key], object)[last] = value;
+};
+
+// Check every known setting, replace invalid ones with defaults and flag unknown keys
+export const validateConfig = (config, defaults = DEFAULT_CONFIG) => {
+  const valid = mergeConfig(defaults, config);
+  const errors = [];
+
+  for (const [path, [isValid, message]] of Object.entries(validators)) {
+    const value = getPath(valid, path);
+    if (!isValid(value)) {
+      errors.push(`${path} ${message} (got ${JSON.stringify(value)})`);
+      setPath(valid, path, getPath(defaults, path));
+    }
+  }
+
+  // The SDK rejects batches larger than the queue that feeds them
+  if (valid.batch.maxExportBatchSize > valid.batch.maxQueueSize) {
+    errors.push('batch.maxExportBatchSize must not exceed batch.maxQueueSize');
+    valid.batch.maxExportBatchSize = valid.batch.maxQueueSize;
+  }
+
+  const knownPaths = new Set(Object.keys(validators).flatMap((path) => [path, path.split('.')[0]]));
+  const checkUnknown = (object, prefix = '') => {
+    for (const [key, value] of Object.entries(object || {})) {
+      const path = prefix + key;
+      if (!knownPaths.has(path)) {
+        errors.push(`${path} is not a known telemetry setting`);
+      } else if (isPlainObject(value)) {
+        checkUnknown(value, `${path}.`);
+      }
+    }
+  };
+  checkUnknown(config);
+
+  valid.collectorUrl = valid.collectorUrl.replace(/\/+$/, '');
+
+  // Exporters and instrumentations expect RegExp objects, not the strings JSON can carry
+  valid.propagateTraceHeaderCorsUrls = valid.propagateTraceHeaderCorsUrls.map((source) =>
+    source instanceof RegExp ? source : new RegExp(source)
+  );
+
+  return { config: valid, errors };
+};
+
+// Fetch the runtime config file; a missing file is normal, anything else is reported
+const fetchRemoteConfig = async (url, errors) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 2000);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal, cache: 'no-store' });
+    // Dev servers answer unknown paths with index.html, which counts as no config too
+    const contentType = response.headers.get('content-type') || '';
+    if (response.status === 404 || (response.ok && !contentType.includes('json'))) {
+      return {};
+    }
+    if (!response.ok) {
+      errors.push(`remote config ${url} returned HTTP ${response.status}`);
+      return {};
+    }
+
+    const remote = await response.json();
+    if (!isPlainObject(remote)) {
+      errors.push(`remote config ${url} must contain a JSON object`);
+      return {};
+    }
+    return remote;
+  } catch (e) {
+    errors.push(`remote config ${url} could not be loaded: ${e.message}`);
+    return {};
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+export const resolveTelemetryConfig = async (options = {}) => {
+  const errors = [];
+  let overrides = options;
+
+  const { remoteConfigUrl } = mergeConfig(DEFAULT_CONFIG, options);
+  if (isNonEmptyString(remoteConfigUrl)) {
+    overrides = mergeConfig(options, await fetchRemoteConfig(remoteConfigUrl, errors));
+  }
+
+  const result = validateConfig(overrides);
+  result.errors.unshift(...errors);
+
+  for (const error of result.errors) {
+    console.warn('[telemetry config]', error);
+  }
+
+  return result;
+};
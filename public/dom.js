@@ -0,0 +1,29 @@
+/**
+ * DOM Construction Helpers
+ *
+ * Renderers build elements with these instead of innerHTML, so text from
+ * API responses, error messages or span details is always inserted as text
+ * and can't inject markup.
+ */
+
+// Element with an optional class and text content (never parsed as HTML)
+export const el = (tag, className, text) => {
+  const element = document.createElement(tag);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined && text !== null) {
+    element.textContent = String(text);
+  }
+  return element;
+};
+
+// 'https://…' and '//…' URLs only; anything else (javascript:, data:) resolves to null
+export const safeUrl = (value) => {
+  try {
+    const url = new URL(String(value).startsWith('//') ? `https:${value}` : value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+};
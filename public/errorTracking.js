@@ -0,0 +1,177 @@
+/**
+ * Global Error Tracking
+ *
+ * Captures errors that escape the app's own try/catch blocks: uncaught
+ * exceptions, unhandled promise rejections, failed resource loads and failed
+ * XHRs. Each one becomes an exception span linked to the span that was active
+ * when it happened, with a fingerprint for grouping, and is shown in the
+ * telemetry log panel.
+ */
+
+import { context, trace, SpanStatusCode } from '@opentelemetry/api';
+import { isTracingSuppressed } from '@opentelemetry/core';
+
+// UI utilities
+import { logToUI } from './utility.js';
+
+const tracer = trace.getTracer('error-tracking');
+
+// Stop reporting a fingerprint after this many occurrences per page view
+const MAX_REPORTS_PER_FINGERPRINT = 10;
+const reportCounts = new Map();
+
+// FNV-1a 32-bit hash, synchronous so it can run inside error handlers
+const hash = (input) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    h ^= input.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+};
+
+// Group errors by type, message (minus variable parts) and their top stack frames
+export const fingerprintError = (type, message = '', stack = '') => {
+  const normalizedMessage = message
+    .replace(/https?:\/\/\S+/g, '<url>')
+    .replace(/\b[0-9a-f]{8,}\b/gi, '<id>')
+    .replace(/\d+/g, '<n>');
+
+  // V8 stacks start with a "TypeError: message" header; Firefox and Safari stacks start with the top frame
+  const lines = stack.split('\n');
+  const frames = /^\w*Error/.test(lines[0]) ? lines.slice(1) : lines;
+  const topFrames = frames
+    .filter((line) => line.includes(':'))
+    .slice(0, 3)
+    .map((line) => line.trim().replace(/\?[^:)]*/, '').replace(/:\d+\)?$/, ''));
+
+  return hash([type, normalizedMessage, ...topFrames].join('|'));
+};
+
+export const reportError = (error, source, attributes = {}) => {
+  const err = error instanceof Error ? error : new Error(String(error ?? 'Unknown error'));
+  const type = err.name || 'Error';
+  const fingerprint = fingerprintError(type, err.message, err.stack);
+
+  const count = (reportCounts.get(fingerprint) || 0) + 1;
+  reportCounts.set(fingerprint, count);
+  if (count > MAX_REPORTS_PER_FINGERPRINT) {
+    return;
+  }
+
+  // Link back to whatever span was active, and record the exception there too
+  const activeSpan = trace.getSpan(context.active());
+  const links = activeSpan ? [{ context: activeSpan.spanContext() }] : [];
+  if (activeSpan?.isRecording()) {
+    activeSpan.recordException(err);
+  }
+
+  const span = tracer.startSpan(`exception.${source}`, {
+    root: true,
+    links,
+    attributes: {
+      'error.source': source,
+      'error.fingerprint': fingerprint,
+      'error.occurrence': count,
+      'exception.type': type,
+      'exception.message': err.message,
+      'exception.stacktrace': err.stack || '',
+      'page.url': window.location.href,
+      ...attributes,
+    },
+  });
+  span.recordException(err);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
+  span.end();
+
+  logToUI(`exception.${source}`, span.spanContext(), 'error', {
+    'Type': type,
+    'Message': err.message,
+    'Fingerprint': fingerprint,
+    'Linked Span': activeSpan?.spanContext().spanId || 'none',
+  });
+};
+
+// XHRs whose failures the caller already handles and records, such as the scenario runner's
+const handledXhrs = new WeakSet();
+
+export const markXhrHandled = (request) => {
+  handledXhrs.add(request);
+};
+
+// Requests whose failures aren't reported, such as the span exporters' (see exporters.js)
+const ignoredXhrUrls = [];
+
+// Error tracking is installed before initTelemetry() has resolved the exporters, so their URLs are added later
+export const ignoreFailedXhrs = (urls) => {
+  ignoredXhrUrls.push(...urls);
+};
+
+// Same matching as the instrumentations' ignoreUrls: a string prefix or a RegExp
+const matchesUrl = (url, patterns) => patterns.some((pattern) =>
+  (pattern instanceof RegExp ? pattern.test(url) : url.startsWith(pattern))
+);
+
+// Mark failed XHRs (network errors and HTTP error statuses) by watching every request's loadend
+const trackFailedXhrs = () => {
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    this._errorTracking = { method, url: String(url) };
+    return originalOpen.call(this, method, url, ...rest);
+  };
+
+  XMLHttpRequest.prototype.send = function (...args) {
+    const request = this._errorTracking;
+    // Telemetry exporters send with tracing suppressed; reporting their failures would only queue more to export
+    if (request && !isTracingSuppressed(context.active()) && !matchesUrl(request.url, ignoredXhrUrls)) {
+      this.addEventListener('loadend', () => {
+        if ((this.status === 0 || this.status >= 400) && !handledXhrs.has(this)) {
+          const reason = this.status === 0 ? 'network error' : `HTTP ${this.status}`;
+          const error = new Error(`XHR ${request.method} ${request.url} failed: ${reason}`);
+          error.name = 'XHRError';
+          reportError(error, 'xhr', {
+            'http.method': request.method,
+            'http.url': request.url,
+            'http.status_code': this.status,
+          });
+        }
+      });
+    }
+    return originalSend.apply(this, args);
+  };
+};
+
+// ignoreUrls: requests whose failures aren't reported; more can be added with ignoreFailedXhrs()
+export const initErrorTracking = ({ ignoreUrls = [] } = {}) => {
+  ignoreFailedXhrs(ignoreUrls);
+
+  // Capture phase is required to see resource load errors, which don't bubble
+  window.addEventListener('error', (event) => {
+    const target = event.target;
+
+    if (target && target !== window && (target.src || target.href)) {
+      const url = target.src || target.href;
+      const error = new Error(`Failed to load ${target.tagName.toLowerCase()}: ${url}`);
+      error.name = 'ResourceError';
+      reportError(error, 'resource', {
+        'resource.tag': target.tagName.toLowerCase(),
+        'resource.url': url,
+      });
+      return;
+    }
+
+    reportError(event.error || new Error(event.message), 'window.onerror', {
+      'code.filepath': event.filename || '',
+      'code.lineno': event.lineno || 0,
+      'code.column': event.colno || 0,
+    });
+  }, true);
+
+  window.addEventListener('unhandledrejection', (event) => {
+    reportError(event.reason, 'unhandledrejection');
+  });
+
+  trackFailedXhrs();
+};
@@ -0,0 +1,173 @@
+/**
+ * Span Exporter Registry
+ *
+ * Named exporter backends, chosen with the `exporters` setting in config.js.
+ * Each entry gets its own batch processor, so spans can go to several
+ * backends at once with different batch settings:
+ *
+ *   exporters: [
+ *     { name: 'otlp' },
+ *     { name: 'console', batch: false },
+ *     { name: 'zipkin', batch: { scheduledDelayMillis: 5000 }, options: { url: 'http://localhost:9411/api/v2/spans' } },
+ *   ]
+ *
+ * Built-in backends:
+ * - otlp: the collector's /v1/traces endpoint, through OfflineResilientExporter
+ * - console: one pretty-printed span tree per trace in each batch
+ * - memory: keeps spans in memoryExporter, for tests and debugging
+ * - zipkin: Zipkin v2 JSON, to a Zipkin server or anything that accepts it
+ * `batch: false` exports each span as it ends instead of batching.
+ * registerExporter() adds another backend before initTelemetry() runs.
+ */
+
+import { SpanStatusCode } from '@opentelemetry/api';
+import { ExportResultCode, hrTimeToMilliseconds } from '@opentelemetry/core';
+import { BatchSpanProcessor, InMemorySpanExporter, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { ZipkinExporter } from '@opentelemetry/exporter-zipkin';
+
+import { OfflineResilientExporter } from './offlineExporter.js';
+
+const DEFAULT_ZIPKIN_URL = 'http://localhost:9411/api/v2/spans';
+
+const isErrorSpan = (span) => span.status.code === SpanStatusCode.ERROR || span.attributes.error === true;
+
+const spanLabel = (span) => {
+  const label = `${span.name} ${hrTimeToMilliseconds(span.duration).toFixed(1)}ms`;
+  return isErrorSpan(span) ? `${label} ✗ ${span.status.message || 'error'}` : label;
+};
+
+// One tree per trace, children ordered by start time; spans whose parent isn't in `spans` are drawn as roots
+export const formatSpanTree = (spans) => {
+  const sorted = [...spans].sort((a, b) => hrTimeToMilliseconds(a.startTime) - hrTimeToMilliseconds(b.startTime));
+  const spanIds = new Set(sorted.map((span) => span.spanContext().spanId));
+  const children = new Map();
+  const rootsByTrace = new Map();
+
+  for (const span of sorted) {
+    if (span.parentSpanId && spanIds.has(span.parentSpanId)) {
+      children.set(span.parentSpanId, [...(children.get(span.parentSpanId) || []), span]);
+    } else {
+      const { traceId } = span.spanContext();
+      rootsByTrace.set(traceId, [...(rootsByTrace.get(traceId) || []), span]);
+    }
+  }
+
+  const lines = [];
+  const draw = (span, prefix, isLast) => {
+    lines.push(`${prefix}${isLast ? '└─ ' : '├─ '}${spanLabel(span)}`);
+    const kids = children.get(span.spanContext().spanId) || [];
+    kids.forEach((child, index) => draw(child, `${prefix}${isLast ? '   ' : '│  '}`, index === kids.length - 1));
+  };
+
+  for (const [traceId, roots] of rootsByTrace) {
+    lines.push(`trace ${traceId}`);
+    roots.forEach((root, index) => draw(root, '', index === roots.length - 1));
+  }
+  return lines.join('\n');
+};
+
+export class PrettyConsoleSpanExporter {
+  export(spans, resultCallback) {
+    console.log(formatSpanTree(spans));
+    resultCallback({ code: ExportResultCode.SUCCESS });
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+}
+
+// Shared by every `memory` entry, so tests can read what was exported
+export const memoryExporter = new InMemorySpanExporter();
+
+// name → (options, config) => { exporter, url? }; the URL is kept out of fetch tracing
+const registry = new Map();
+
+export const registerExporter = (name, factory) => {
+  registry.set(name, factory);
+};
+
+export const hasExporter = (name) => registry.has(name);
+
+registerExporter('otlp', (options, config) => {
+  const url = options.url || `${config.collectorUrl}/v1/traces`;
+  const exporter = new OfflineResilientExporter(
+    new OTLPTraceExporter({
+      ...options,
+      url,
+      // Setting headers makes the exporter use XHR instead of sendBeacon, so failed exports are detected
+      headers: { ...options.headers },
+    }),
+    { url }
+  );
+  return { exporter, url };
+});
+
+registerExporter('console', () => ({ exporter: new PrettyConsoleSpanExporter() }));
+
+registerExporter('memory', () => ({ exporter: memoryExporter }));
+
+registerExporter('zipkin', (options) => {
+  const url = options.url || DEFAULT_ZIPKIN_URL;
+  // Without headers the exporter sends with sendBeacon, which can't carry a JSON content type
+  return { exporter: new ZipkinExporter({ ...options, url, headers: { ...options.headers } }), url };
+});
+
+// Sends every span to each of its processors
+export class FanOutSpanProcessor {
+  constructor(processors) {
+    this._processors = processors;
+  }
+
+  onStart(span, parentContext) {
+    for (const processor of this._processors) {
+      processor.onStart(span, parentContext);
+    }
+  }
+
+  onEnd(span) {
+    for (const processor of this._processors) {
+      processor.onEnd(span);
+    }
+  }
+
+  forceFlush() {
+    return Promise.all(this._processors.map((processor) => processor.forceFlush())).then(() => {});
+  }
+
+  shutdown() {
+    return Promise.all(this._processors.map((processor) => processor.shutdown())).then(() => {});
+  }
+}
+
+// One processor per configured exporter; returns the combined processor and the URLs the exporters send to
+export const createExportProcessor = (config) => {
+  const processors = [];
+  const urls = [];
+
+  for (const { name, batch, options = {} } of config.exporters) {
+    const factory = registry.get(name);
+    if (!factory) {
+      console.warn('[telemetry exporters]', `Unknown exporter "${name}" skipped`);
+      continue;
+    }
+
+    const { exporter, url } = factory(options, config);
+    const processor = batch === false
+      ? new SimpleSpanProcessor(exporter)
+      : new BatchSpanProcessor(exporter, { ...config.batch, ...batch });
+    exporter.flushOnPageHide?.(processor);
+
+    processors.push(processor);
+    if (url) {
+      urls.push(url);
+    }
+  }
+
+  return { processor: new FanOutSpanProcessor(processors), urls };
+};
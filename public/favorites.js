@@ -0,0 +1,27 @@
+/**
+ * Favorite Cities
+ *
+ * The cities a user compares most often, saved per user in localStorage
+ * (see session.js) so "Compare favorites" works across visits.
+ */
+
+import { userStorageKey } from './session.js';
+
+const favoritesStorageKey = () => userStorageKey('weather.favorites');
+
+export const getFavorites = () => {
+  try {
+    const favorites = JSON.parse(localStorage.getItem(favoritesStorageKey()));
+    return Array.isArray(favorites) ? favorites.filter((city) => typeof city === 'string') : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+export const saveFavorites = (cities) => {
+  try {
+    localStorage.setItem(favoritesStorageKey(), JSON.stringify(cities));
+  } catch (e) {
+    // Storage can be unavailable (private mode, quota); the favorites just aren't kept
+  }
+};
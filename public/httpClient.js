@@ -0,0 +1,183 @@
+/**
+ * Resilient HTTP Client
+ *
+ * resilientFetch() wraps fetch with:
+ * - a per-attempt timeout (AbortController)
+ * - bounded retries with full jitter for idempotent requests, on network
+ *   errors, timeouts (unless `retryTimeouts` is false), 429 and 5xx responses
+ *
+ * CircuitBreaker tracks a dependency's recent failures so callers can stop
+ * relying on it for a while (weather.js uses one to bypass the backend cache).
+ *
+ * Attempts, timeouts and breaker state changes are recorded as events and
+ * attributes on the active span, so a slow getWeather shows where the time went.
+ */
+
+import { context, trace } from '@opentelemetry/api';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+export class TimeoutError extends Error {
+  constructor(url, timeoutMillis) {
+    super(`Request to ${url} timed out after ${timeoutMillis}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+const activeSpan = () => trace.getSpan(context.active());
+
+/**
+ * closed → open after `failureThreshold` consecutive failures; open → half-open
+ * once `resetTimeoutMillis` has passed, letting one trial request through;
+ * half-open → closed on success, or back to open on failure.
+ */
+export class CircuitBreaker {
+  constructor({ name, failureThreshold = 3, resetTimeoutMillis = 30000 }) {
+    this.name = name;
+    this._failureThreshold = failureThreshold;
+    this._resetTimeout = resetTimeoutMillis;
+    this._state = 'closed';
+    this._failures = 0;
+    this._openedAt = 0;
+    this._trialInFlight = false;
+  }
+
+  get state() {
+    if (this._state === 'open' && Date.now() - this._openedAt >= this._resetTimeout) {
+      this._transition('half-open');
+    }
+    return this._state;
+  }
+
+  // Whether a request may go to the dependency now; in half-open only one trial at a time
+  allowRequest() {
+    const state = this.state;
+    if (state === 'closed') {
+      return true;
+    }
+    if (state === 'half-open' && !this._trialInFlight) {
+      this._trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this._failures = 0;
+    this._trialInFlight = false;
+    if (this._state !== 'closed') {
+      this._transition('closed');
+    }
+  }
+
+  // Ends a half-open trial whose outcome says nothing about the dependency, without a state change
+  release() {
+    this._trialInFlight = false;
+  }
+
+  recordFailure() {
+    this._failures += 1;
+    this._trialInFlight = false;
+    if (this._state === 'half-open' || (this._state === 'closed' && this._failures >= this._failureThreshold)) {
+      this._openedAt = Date.now();
+      this._transition('open');
+    }
+  }
+
+  _transition(to) {
+    const from = this._state;
+    this._state = to;
+    activeSpan()?.addEvent('circuit_breaker.state_change', {
+      'circuit_breaker.name': this.name,
+      'circuit_breaker.from': from,
+      'circuit_breaker.to': to,
+      'circuit_breaker.failures': this._failures,
+    });
+  }
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Full jitter: a random delay up to the exponential backoff cap, so clients don't retry in lockstep
+const backoffDelay = (attempt, baseDelayMillis, maxDelayMillis) =>
+  Math.random() * Math.min(maxDelayMillis, baseDelayMillis * 2 ** attempt);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const fetchWithTimeout = async (url, init, timeoutMillis) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMillis);
+
+  // Respect a caller's own signal as well as the timeout
+  init.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (e) {
+    if (controller.signal.aborted && !init.signal?.aborted) {
+      throw new TimeoutError(url, timeoutMillis);
+    }
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+export const resilientFetch = async (url, {
+  timeoutMillis = 5000,
+  retries = 2,
+  baseDelayMillis = 200,
+  maxDelayMillis = 2000,
+  idempotent,
+  retryTimeouts = true,
+  ...init
+} = {}) => {
+  const span = activeSpan();
+  const method = (init.method || 'GET').toUpperCase();
+  const maxAttempts = (idempotent ?? IDEMPOTENT_METHODS.includes(method)) ? retries + 1 : 1;
+
+  span?.setAttribute('http.client.timeout_ms', timeoutMillis);
+  span?.setAttribute('http.client.max_attempts', maxAttempts);
+
+  for (let attempt = 1; ; attempt++) {
+    span?.setAttribute('http.client.attempts', attempt);
+
+    let response = null;
+    let error = null;
+    try {
+      response = await fetchWithTimeout(url, init, timeoutMillis);
+    } catch (e) {
+      error = e;
+    }
+
+    // A caller's own abort isn't retried, nor a timeout when the server may still be handling the request
+    const retryable = error
+      ? error.name !== 'AbortError' && (retryTimeouts || !(error instanceof TimeoutError))
+      : isRetryableStatus(response.status);
+    let outcome = retryable ? 'retryable_status' : 'response';
+    if (error) {
+      outcome = error instanceof TimeoutError ? 'timeout' : error.name === 'AbortError' ? 'aborted' : 'network_error';
+    }
+
+    span?.addEvent(error instanceof TimeoutError ? 'http.client.timeout' : 'http.client.attempt', {
+      'http.client.attempt': attempt,
+      'http.client.outcome': outcome,
+      ...(response && { 'http.response.status_code': response.status }),
+      ...(error && { 'error.type': error.name, 'error.message': error.message }),
+    });
+
+    if (!retryable || attempt >= maxAttempts) {
+      if (error) {
+        throw error;
+      }
+      return response;
+    }
+
+    const delay = backoffDelay(attempt, baseDelayMillis, maxDelayMillis);
+    span?.addEvent('http.client.retry', {
+      'http.client.attempt': attempt + 1,
+      'http.client.retry_delay_ms': Math.round(delay),
+    });
+    await sleep(delay);
+  }
+};
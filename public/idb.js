@@ -0,0 +1,25 @@
+/**
+ * IndexedDB Helpers
+ *
+ * Minimal promise wrappers around IndexedDB for modules that persist data
+ * across page loads (offline span batches, cached API responses).
+ */
+
+export const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Open a database holding a single object store; resolves to null where IndexedDB is unavailable
+export const openDatabase = (name, storeName, storeOptions) => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  const request = indexedDB.open(name, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(storeName, storeOptions);
+  };
+  return requestToPromise(request).catch(() => null);
+};
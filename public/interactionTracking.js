@@ -0,0 +1,324 @@
+/**
+ * Interaction Tracking
+ *
+ * Measures how people use form controls, not just that they changed them.
+ * Elements opt in with markup; no per-element listeners are needed:
+ *
+ *   <input type="range" data-otel-name="slider" data-otel-track>
+ *   <input type="text" data-otel-name="weather-input" data-otel-track data-otel-commit="#getWeather">
+ *   <form data-otel-name="signup" data-otel-track>...</form>
+ *
+ * A visit starts when the element (or a field in the form) gets focus or a
+ * pointer press, and ends when focus leaves it. Within a visit:
+ *   - each commit records a `user.adjusted.<name>` span, from the previous
+ *     commit (or the start of the visit) to the commit, with the number of
+ *     edits and the time from focus to commit. Range inputs and selects commit
+ *     on change; text inputs on Enter or a click on their `data-otel-commit`
+ *     target; forms on submit.
+ *   - leaving with uncommitted edits (blurring, or hiding the page) records a
+ *     `user.abandoned.<name>` span instead.
+ * Dwell time (focus to blur) is recorded for every visit as a metric.
+ *
+ * Text values are never recorded, only their length.
+ */
+
+import { trace } from '@opentelemetry/api';
+
+import { getMeter } from './metrics.js';
+import { logToUI } from './utility.js';
+
+const tracer = trace.getTracer('interaction-tracking');
+const meter = getMeter('interaction-tracking');
+
+const commits = meter.createCounter('interaction.commits', {
+  description: 'Committed interactions by element and kind',
+});
+const abandonments = meter.createCounter('interaction.abandonments', {
+  description: 'Visits left with uncommitted edits, by element and kind',
+});
+const adjustments = meter.createHistogram('interaction.adjustments', {
+  description: 'Edits made before each commit or abandonment',
+});
+const timeToCommit = meter.createHistogram('interaction.time_to_commit', {
+  description: 'Time from focus to commit',
+  unit: 'ms',
+});
+const dwellTime = meter.createHistogram('interaction.dwell_time', {
+  description: 'Time from focus to blur, by outcome (committed, abandoned, viewed)',
+  unit: 'ms',
+});
+
+const TRACKED = '[data-otel-track]';
+
+// element → { startedAt, segmentStartedAt, startValue, edits, commits, pressingCommitTarget }
+const visits = new Map();
+
+// Direction and size of a change: large (5+ steps), medium (2-4), small (1) or none
+export const classifyAdjustment = (startValue, endValue) => {
+  const delta = endValue - startValue;
+  const direction = delta > 0 ? 'increased' : delta < 0 ? 'decreased' : 'unchanged';
+
+  let adjustment;
+  if (Math.abs(delta) >= 5) {
+    adjustment = 'large';
+  } else if (Math.abs(delta) >= 2) {
+    adjustment = 'medium';
+  } else if (delta !== 0) {
+    adjustment = 'small';
+  } else {
+    adjustment = 'none';
+  }
+
+  return { delta, direction, adjustment };
+};
+
+const kindOf = (element) => {
+  if (element.tagName === 'FORM') {
+    return 'form';
+  }
+  if (element.tagName === 'SELECT') {
+    return 'select';
+  }
+  return element.type === 'range' ? 'range' : 'text';
+};
+
+const nameOf = (element) => element.dataset.otelName || element.id || kindOf(element);
+
+const metricAttributes = (element) => ({
+  'interaction.name': nameOf(element),
+  'interaction.kind': kindOf(element),
+});
+
+const startVisit = (element) => {
+  let visit = visits.get(element);
+  if (!visit) {
+    const now = performance.now();
+    visit = { startedAt: now, segmentStartedAt: now, startValue: element.value, edits: 0, commits: 0 };
+    visits.set(element, visit);
+  }
+  return visit;
+};
+
+// Span covering the current segment of a visit (since its start or the last commit)
+const startSegmentSpan = (element, visit, verb, attributes) => tracer.startSpan(`user.${verb}.${nameOf(element)}`, {
+  startTime: visit.segmentStartedAt,
+  attributes: {
+    ...metricAttributes(element),
+    'interaction.adjustments': visit.edits,
+    ...attributes,
+  },
+});
+
+const valueAttributes = (element, visit) => {
+  const kind = kindOf(element);
+  if (kind === 'range') {
+    const startValue = Number(visit.startValue);
+    const endValue = Number(element.value);
+    const { delta, direction, adjustment } = classifyAdjustment(startValue, endValue);
+    // Same keys the slider's spans have always had, so existing queries keep working
+    return {
+      'slider.start.value': startValue,
+      'slider.end.value': endValue,
+      'slider.delta': delta,
+      'slider.direction': direction,
+      'slider.magnitude': Math.abs(delta),
+      'slider.adjustment': adjustment,
+    };
+  }
+  if (kind === 'text') {
+    return { 'interaction.value.length': element.value.length };
+  }
+  return {};
+};
+
+const commit = (element) => {
+  const visit = startVisit(element);
+  const now = performance.now();
+  const sinceFocus = Math.round(now - visit.startedAt);
+
+  const span = startSegmentSpan(element, visit, 'adjusted', {
+    'interaction.outcome': 'commit',
+    'interaction.time_to_commit_ms': sinceFocus,
+    'interaction.commit.index': visit.commits + 1,
+    ...valueAttributes(element, visit),
+  });
+
+  logToUI(`user.adjusted.${nameOf(element)}`, span.spanContext(), 'interaction', {
+    'Edits': visit.edits,
+    'Focus to commit': `${sinceFocus}ms`,
+  });
+  span.end(now);
+
+  commits.add(1, metricAttributes(element));
+  adjustments.record(visit.edits, { ...metricAttributes(element), 'interaction.outcome': 'commit' });
+  timeToCommit.record(sinceFocus, metricAttributes(element));
+
+  visit.commits += 1;
+  visit.edits = 0;
+  visit.segmentStartedAt = now;
+  visit.startValue = element.value;
+};
+
+const endVisit = (element) => {
+  const visit = visits.get(element);
+  if (!visit) {
+    return;
+  }
+  visits.delete(element);
+
+  const now = performance.now();
+  const dwell = Math.round(now - visit.startedAt);
+  const outcome = visit.edits > 0 ? 'abandoned' : visit.commits > 0 ? 'committed' : 'viewed';
+
+  if (outcome === 'abandoned') {
+    const span = startSegmentSpan(element, visit, 'abandoned', {
+      'interaction.outcome': 'abandon',
+      'interaction.dwell_ms': dwell,
+      'interaction.commits': visit.commits,
+    });
+    logToUI(`user.abandoned.${nameOf(element)}`, span.spanContext(), 'interaction', {
+      'Edits': visit.edits,
+      'Dwell': `${dwell}ms`,
+    });
+    span.end(now);
+
+    abandonments.add(1, metricAttributes(element));
+    adjustments.record(visit.edits, { ...metricAttributes(element), 'interaction.outcome': 'abandon' });
+  }
+
+  dwellTime.record(dwell, { ...metricAttributes(element), 'interaction.outcome': outcome });
+};
+
+const trackedFrom = (target) => (target instanceof Element ? target.closest(TRACKED) : null);
+
+// Focus moving to the element's commit target (e.g. its submit button) doesn't end the visit; the click commits it
+const isCommitTarget = (element, target) => {
+  const selector = element.dataset.otelCommit;
+  return !!(selector && target instanceof Element && target.closest(selector));
+};
+
+// A press released off the commit target (or cancelled) won't click it, so the visit ends unless focus came back
+const releasePress = (e) => {
+  for (const [element, visit] of [...visits]) {
+    if (!visit.pressingCommitTarget || (e.type === 'pointerup' && isCommitTarget(element, e.target))) {
+      continue;
+    }
+    visit.pressingCommitTarget = false;
+    if (!element.contains(document.activeElement)) {
+      endVisit(element);
+    }
+  }
+};
+
+const handlers = {
+  focusin: (e) => {
+    const element = trackedFrom(e.target);
+    if (element) {
+      startVisit(element);
+    }
+  },
+
+  pointerdown: (e) => {
+    const element = trackedFrom(e.target);
+    if (element) {
+      startVisit(element);
+    }
+    // Safari doesn't focus a clicked button, so the focusout that follows has no relatedTarget
+    // to recognise the commit target by; remember the press until it is released
+    for (const [tracked, visit] of visits) {
+      if (isCommitTarget(tracked, e.target)) {
+        visit.pressingCommitTarget = true;
+      }
+    }
+  },
+
+  focusout: (e) => {
+    // Tabbing on past the commit target without clicking it ends the visits it held open
+    for (const element of [...visits.keys()]) {
+      if (isCommitTarget(element, e.target) && !element.contains(e.relatedTarget)
+        && !isCommitTarget(element, e.relatedTarget)) {
+        endVisit(element);
+      }
+    }
+
+    const element = trackedFrom(e.target);
+    // Moving between fields of a tracked form is still one visit
+    if (!element || element.contains(e.relatedTarget) || isCommitTarget(element, e.relatedTarget)
+      || visits.get(element)?.pressingCommitTarget) {
+      return;
+    }
+    endVisit(element);
+  },
+
+  pointerup: releasePress,
+  pointercancel: releasePress,
+
+  input: (e) => {
+    const element = trackedFrom(e.target);
+    if (element) {
+      startVisit(element).edits += 1;
+    }
+  },
+
+  change: (e) => {
+    const element = trackedFrom(e.target);
+    if (element && ['range', 'select'].includes(kindOf(element))) {
+      commit(element);
+    }
+  },
+
+  keydown: (e) => {
+    const element = trackedFrom(e.target);
+    if (element && e.key === 'Enter' && kindOf(element) === 'text') {
+      commit(element);
+    }
+  },
+
+  submit: (e) => {
+    const element = trackedFrom(e.target);
+    if (element && kindOf(element) === 'form') {
+      commit(element);
+    }
+  },
+
+  click: (e) => {
+    for (const element of [...visits.keys()]) {
+      if (isCommitTarget(element, e.target)) {
+        visits.get(element).pressingCommitTarget = false;
+        commit(element);
+        // Focus already left for the commit target
+        if (!element.contains(document.activeElement)) {
+          endVisit(element);
+        }
+      }
+    }
+  },
+};
+
+// Leaving the page ends every open visit, so edits that were never committed count as abandoned
+const endAllVisits = () => {
+  for (const element of [...visits.keys()]) {
+    endVisit(element);
+  }
+};
+
+let initialized = false;
+
+export const initInteractionTracking = () => {
+  if (initialized) {
+    return;
+  }
+  initialized = true;
+
+  // Capture phase, so handlers that stop propagation don't hide interactions
+  for (const [type, handler] of Object.entries(handlers)) {
+    document.addEventListener(type, handler, true);
+  }
+
+  window.addEventListener('pagehide', endAllVisits);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      endAllVisits();
+    }
+  });
+};
@@ -0,0 +1,77 @@
+/**
+ * Logs Setup
+ *
+ * Configures the OpenTelemetry LoggerProvider and turns the app's UI log
+ * calls into structured OTLP log records that carry the active trace context.
+ */
+
+// Global logs API and severity levels
+import { logs, SeverityNumber } from '@opentelemetry/api-logs';
+
+// Used to attach an explicit span context to a log record
+import { context, trace, isSpanContextValid } from '@opentelemetry/api';
+
+// LoggerProvider creates loggers; the batch processor groups records before sending
+import { LoggerProvider, BatchLogRecordProcessor } from '@opentelemetry/sdk-logs';
+
+// Import the OTLP HTTP exporter for sending log records to the collector over HTTP
+import { OTLPLogExporter } from '@opentelemetry/exporter-logs-otlp-http';
+
+const logger = logs.getLogger('vanilla-frontend');
+
+// Map the `type` argument used by log()/logToUI() to OpenTelemetry severities
+const severities = {
+  error: { severityNumber: SeverityNumber.ERROR, severityText: 'ERROR' },
+  warning: { severityNumber: SeverityNumber.WARN, severityText: 'WARN' },
+  debug: { severityNumber: SeverityNumber.DEBUG, severityText: 'DEBUG' },
+};
+const defaultSeverity = { severityNumber: SeverityNumber.INFO, severityText: 'INFO' };
+
+export function initLogs(resource, config) {
+  const loggerProvider = new LoggerProvider({ resource });
+
+  loggerProvider.addLogRecordProcessor(
+    new BatchLogRecordProcessor(
+      new OTLPLogExporter({
+        url: `${config.collectorUrl}/v1/logs`,
+      }),
+      {
+        // Same cadence as spans
+        scheduledDelayMillis: config.batch.scheduledDelayMillis,
+      }
+    )
+  );
+
+  logs.setGlobalLoggerProvider(loggerProvider);
+
+  // Flush queued records before the tab goes away
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      // A failed flush has nowhere to be reported as the page goes away
+      loggerProvider.forceFlush().catch(() => {});
+    }
+  });
+
+  return loggerProvider;
+}
+
+// Emit a structured log record; trace/span IDs come from spanContext if valid, else the active span
+export const emitLogRecord = (body, type = 'info', details = {}, spanContext) => {
+  let logContext = context.active();
+  if (spanContext && isSpanContextValid(spanContext)) {
+    logContext = trace.setSpanContext(logContext, spanContext);
+  }
+
+  const attributes = { 'log.type': type };
+  for (const [key, value] of Object.entries(details)) {
+    // Attribute values must be primitives; stringify anything else
+    attributes[key] = ['string', 'number', 'boolean'].includes(typeof value) ? value : String(value);
+  }
+
+  logger.emit({
+    ...(severities[type] || defaultSeverity),
+    body,
+    attributes,
+    context: logContext,
+  });
+};
@@ -0,0 +1,69 @@
+/**
+ * Metrics Setup
+ *
+ * Configures the OpenTelemetry MeterProvider so the application can record
+ * numeric measurements (counters, histograms) and export them to the
+ * collector alongside traces.
+ */
+
+// Global metrics API, used to register the MeterProvider for getMeter() calls
+import { metrics } from '@opentelemetry/api';
+
+// MeterProvider creates meters; the periodic reader collects and exports them on an interval
+import { MeterProvider, PeriodicExportingMetricReader } from '@opentelemetry/sdk-metrics';
+
+// Import the OTLP HTTP exporter for sending metrics to the collector over HTTP
+import { OTLPMetricExporter } from '@opentelemetry/exporter-metrics-otlp-http';
+
+// Instrument resolved from the global MeterProvider on use, re-resolved if the provider changes
+const lazyInstrument = (name, create) => {
+  let provider = null;
+  let instrument = null;
+  return () => {
+    const current = metrics.getMeterProvider();
+    if (current !== provider) {
+      provider = current;
+      instrument = create(current.getMeter(name));
+    }
+    return instrument;
+  };
+};
+
+// Use instead of metrics.getMeter() at module level: a meter taken before initMetrics() has run
+// stays a no-op, and modules are evaluated before app.js gets to call initTelemetry()
+export const getMeter = (name) => ({
+  createCounter: (instrumentName, options) => {
+    const instrument = lazyInstrument(name, (meter) => meter.createCounter(instrumentName, options));
+    return { add: (value, attributes) => instrument().add(value, attributes) };
+  },
+  createHistogram: (instrumentName, options) => {
+    const instrument = lazyInstrument(name, (meter) => meter.createHistogram(instrumentName, options));
+    return { record: (value, attributes) => instrument().record(value, attributes) };
+  },
+});
+
+export function initMetrics(resource, config) {
+  const meterProvider = new MeterProvider({
+    resource,
+    readers: [
+      new PeriodicExportingMetricReader({
+        exporter: new OTLPMetricExporter({
+          url: `${config.collectorUrl}/v1/metrics`,
+        }),
+        exportIntervalMillis: config.metricExportIntervalMillis,
+      }),
+    ],
+  });
+
+  metrics.setGlobalMeterProvider(meterProvider);
+
+  // Flush pending measurements when the tab is hidden, so per-session counts aren't lost on close
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      // A failed export (collector down) is retried on the next interval; nothing to report on the way out
+      meterProvider.forceFlush().catch(() => {});
+    }
+  });
+
+  return meterProvider;
+}
@@ -0,0 +1,184 @@
+/**
+ * SPA Navigation Tracing
+ *
+ * DocumentLoadInstrumentation only covers the first page load. This module
+ * starts a root `route-change` span whenever the History API changes the route
+ * (pushState, replaceState, popstate) and keeps it open until the route has
+ * settled, meaning no fetch/XHR started during the navigation is still in
+ * flight and the network has been idle for a short while.
+ *
+ * Until then, spans that would otherwise start a new trace (fetches, XHRs,
+ * user interactions) are parented under the navigation span by
+ * NavigationContextManager, and NavigationSpanProcessor tracks which of them
+ * are network requests still in flight.
+ */
+
+import { trace, SpanKind } from '@opentelemetry/api';
+
+// This context manager ensures span context is maintained across async boundaries in the browser
+import { ZoneContextManager } from '@opentelemetry/context-zone';
+
+import { compilePathTemplate } from './urlRules.js';
+
+const tracer = trace.getTracer('navigation');
+
+// Network must be quiet this long to count as settled; give up waiting after the max
+const IDLE_MS = 500;
+const MAX_SETTLE_MS = 10000;
+
+let routes = [];
+let currentRoute = null;
+let activeNavigation = null;
+
+// Network span → navigation it was started under
+const navigationsBySpan = new WeakMap();
+
+// Template for a path, e.g. '/cities/:city'; unknown routes get IDs replaced to keep cardinality low
+export const resolveRouteTemplate = (pathname) => {
+  const route = routes.find(({ regex }) => regex.test(pathname));
+  if (route) {
+    return route.template;
+  }
+  return pathname
+    .split('/')
+    .map((segment) => (/^(\d+|[0-9a-f-]{16,})$/i.test(segment) ? ':id' : segment))
+    .join('/');
+};
+
+const currentLocation = () => ({
+  path: window.location.pathname,
+  url: window.location.href,
+  template: resolveRouteTemplate(window.location.pathname),
+  search: window.location.search,
+});
+
+const finishNavigation = (navigation, settled) => {
+  clearTimeout(navigation.idleTimer);
+  clearTimeout(navigation.maxTimer);
+
+  const endTime = settled ? navigation.lastNetworkEnd : Date.now();
+  navigation.span.setAttribute('navigation.settled', settled);
+  navigation.span.setAttribute('navigation.time_to_settled_ms', endTime - navigation.startTime);
+  navigation.span.setAttribute('navigation.request_count', navigation.requestCount);
+  navigation.span.end(endTime);
+
+  if (activeNavigation === navigation) {
+    activeNavigation = null;
+  }
+};
+
+// Settled once nothing is pending and nothing new started within the idle window
+const scheduleSettleCheck = (navigation) => {
+  clearTimeout(navigation.idleTimer);
+  navigation.idleTimer = setTimeout(() => {
+    if (navigation.pending.size === 0) {
+      finishNavigation(navigation, true);
+    }
+  }, IDLE_MS);
+};
+
+const startNavigation = (navigationType) => {
+  const previousRoute = currentRoute;
+  const route = currentLocation();
+
+  // Query/hash-only replaceState calls (e.g. filters) aren't route changes
+  if (previousRoute && route.path === previousRoute.path && route.search === previousRoute.search) {
+    return;
+  }
+  currentRoute = route;
+
+  if (activeNavigation) {
+    activeNavigation.span.setAttribute('navigation.interrupted', true);
+    finishNavigation(activeNavigation, false);
+  }
+
+  const startTime = Date.now();
+  const span = tracer.startSpan(`route-change ${route.template}`, {
+    root: true,
+    startTime,
+    attributes: {
+      'navigation.type': navigationType,
+      'route.template': route.template,
+      'route.path': route.path,
+      'route.previous.template': previousRoute?.template || '',
+      'route.previous.path': previousRoute?.path || '',
+      'url.full': route.url,
+    },
+  });
+
+  const navigation = {
+    span,
+    startTime,
+    lastNetworkEnd: startTime,
+    pending: new Set(),
+    requestCount: 0,
+    idleTimer: null,
+    maxTimer: setTimeout(() => finishNavigation(navigation, false), MAX_SETTLE_MS),
+  };
+  activeNavigation = navigation;
+  scheduleSettleCheck(navigation);
+};
+
+// Parents would-be root spans under the navigation span until the route settles
+export class NavigationContextManager extends ZoneContextManager {
+  active() {
+    const activeContext = super.active();
+    if (activeNavigation && !trace.getSpan(activeContext)) {
+      return trace.setSpan(activeContext, activeNavigation.span);
+    }
+    return activeContext;
+  }
+}
+
+// Tracks network spans (CLIENT kind) that belong to the active navigation's trace
+export class NavigationSpanProcessor {
+  onStart(span) {
+    const navigation = activeNavigation;
+    if (!navigation || span.kind !== SpanKind.CLIENT) {
+      return;
+    }
+    if (span.spanContext().traceId !== navigation.span.spanContext().traceId) {
+      return;
+    }
+    navigation.pending.add(span);
+    navigation.requestCount += 1;
+    clearTimeout(navigation.idleTimer);
+    navigationsBySpan.set(span, navigation);
+  }
+
+  onEnd(span) {
+    const navigation = navigationsBySpan.get(span);
+    if (!navigation || !navigation.pending.delete(span)) {
+      return;
+    }
+    navigation.lastNetworkEnd = Date.now();
+    if (navigation.pending.size === 0) {
+      scheduleSettleCheck(navigation);
+    }
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+// routeTemplates: e.g. ['/', '/cities/:city', '/cities/:city/forecast']
+export const initNavigation = (routeTemplates = []) => {
+  routes = routeTemplates.map((template) => ({ template, regex: compilePathTemplate(template).regex }));
+  currentRoute = currentLocation();
+
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      startNavigation(method);
+      return result;
+    };
+  }
+
+  window.addEventListener('popstate', () => startNavigation('popstate'));
+};
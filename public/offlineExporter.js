@@ -0,0 +1,222 @@
+/**
+ * Offline-Resilient Span Exporter
+ *
+ * Wraps the OTLP trace exporter so spans survive flaky networks and closed tabs:
+ * - Batches that fail to export are serialized to OTLP JSON and kept in IndexedDB
+ * - Stored batches are retried with exponential backoff, when connectivity
+ *   returns and on the next page load
+ * - Storage is capped by size and age, dropping the oldest batches first
+ * - When the page is hidden or unloaded, pending spans are flushed with
+ *   navigator.sendBeacon (or fetch keepalive as a fallback)
+ */
+
+import { ExportResultCode } from '@opentelemetry/core';
+
+// Serializes spans to the OTLP/JSON request body the collector accepts on /v1/traces
+import { JsonTraceSerializer } from '@opentelemetry/otlp-transformer';
+
+import { openDatabase, requestToPromise } from './idb.js';
+
+const DB_NAME = 'otel-offline-exporter';
+const STORE_NAME = 'batches';
+
+// fetch keepalive bodies are limited to 64KB in total across in-flight requests
+const KEEPALIVE_MAX_BYTES = 60 * 1024;
+
+export class OfflineResilientExporter {
+  constructor(delegate, {
+    url,
+    maxStoredBytes = 5 * 1024 * 1024,
+    maxAgeMillis = 24 * 60 * 60 * 1000,
+    initialRetryDelayMillis = 1000,
+    maxRetryDelayMillis = 5 * 60 * 1000,
+  } = {}) {
+    this._delegate = delegate;
+    this._url = url;
+    this._maxStoredBytes = maxStoredBytes;
+    this._maxAgeMillis = maxAgeMillis;
+    this._initialRetryDelay = initialRetryDelayMillis;
+    this._maxRetryDelay = maxRetryDelayMillis;
+    this._retryDelay = initialRetryDelayMillis;
+    this._retryTimer = null;
+    this._unloading = false;
+    this._db = openDatabase(DB_NAME, STORE_NAME, { keyPath: 'id', autoIncrement: true });
+
+    window.addEventListener('online', () => this._retryNow());
+
+    // Registered before the batch processor is built, so these run ahead of its own page-hide flush
+    // and that flush already takes the unload path instead of draining the queue over XHR
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this._unloading = true;
+      } else {
+        this._unloading = false;
+        this._retryNow();
+      }
+    });
+    window.addEventListener('pagehide', () => {
+      this._unloading = true;
+    });
+
+    // Batches left over from a previous page load
+    this._scheduleRetry(this._initialRetryDelay);
+  }
+
+  export(spans, resultCallback) {
+    const payload = new TextDecoder().decode(JsonTraceSerializer.serializeRequest(spans));
+
+    // The page may be gone before an XHR completes, so hand the batch to the browser instead
+    if (this._unloading) {
+      const sent = this._sendOnUnload(payload);
+      if (!sent) {
+        this._persist(payload);
+      }
+      resultCallback({ code: ExportResultCode.SUCCESS });
+      return;
+    }
+
+    if (!navigator.onLine) {
+      this._persist(payload).then(() => resultCallback({ code: ExportResultCode.SUCCESS }));
+      return;
+    }
+
+    this._delegate.export(spans, (result) => {
+      if (result.code === ExportResultCode.SUCCESS) {
+        // The collector is reachable again; drain anything stored earlier
+        this._retryNow();
+        resultCallback(result);
+        return;
+      }
+
+      // Stored for retry, so the batch processor shouldn't treat it as lost
+      this._persist(payload).then(() => resultCallback({ code: ExportResultCode.SUCCESS }));
+    });
+  }
+
+  // Flush spans through this exporter's unload path when the page is hidden or unloaded
+  flushOnPageHide(processor) {
+    const flush = () => {
+      processor.forceFlush();
+    };
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        flush();
+      }
+    });
+    window.addEventListener('pagehide', flush);
+  }
+
+  forceFlush() {
+    return this._delegate.forceFlush ? this._delegate.forceFlush() : Promise.resolve();
+  }
+
+  shutdown() {
+    clearTimeout(this._retryTimer);
+    return this._delegate.shutdown();
+  }
+
+  _sendOnUnload(payload) {
+    const body = new Blob([payload], { type: 'application/json' });
+
+    if (navigator.sendBeacon && navigator.sendBeacon(this._url, body)) {
+      return true;
+    }
+
+    if (body.size <= KEEPALIVE_MAX_BYTES) {
+      fetch(this._url, {
+        method: 'POST',
+        body,
+        headers: { 'Content-Type': 'application/json' },
+        keepalive: true,
+      }).catch(() => {});
+      return true;
+    }
+
+    return false;
+  }
+
+  async _persist(payload) {
+    const db = await this._db;
+    if (!db) {
+      return;
+    }
+
+    try {
+      const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+      await requestToPromise(store.add({ payload, bytes: payload.length, createdAt: Date.now() }));
+      await this._enforceLimits(db);
+    } catch (e) {
+      console.warn('Failed to persist span batch for retry', e);
+    }
+
+    this._scheduleRetry(this._retryDelay);
+  }
+
+  // Drop expired batches, then the oldest ones until the total size is under the cap
+  async _enforceLimits(db) {
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const batches = await requestToPromise(store.getAll());
+    const now = Date.now();
+    let totalBytes = batches.reduce((sum, batch) => sum + batch.bytes, 0);
+
+    for (const batch of batches) {
+      const expired = now - batch.createdAt > this._maxAgeMillis;
+      if (!expired && totalBytes <= this._maxStoredBytes) {
+        break;
+      }
+      store.delete(batch.id);
+      totalBytes -= batch.bytes;
+    }
+  }
+
+  _retryNow() {
+    this._retryDelay = this._initialRetryDelay;
+    this._scheduleRetry(0);
+  }
+
+  _scheduleRetry(delay) {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = setTimeout(() => {
+      // IndexedDB can fail to read (storage evicted, private mode); the next trigger tries again
+      this._retryStored().catch((e) => console.warn('Failed to retry stored span batches', e));
+    }, delay);
+  }
+
+  // Send stored batches oldest first; stop at the first failure and back off
+  async _retryStored() {
+    const db = await this._db;
+    if (!db || !navigator.onLine || this._unloading) {
+      return;
+    }
+
+    const batches = await requestToPromise(
+      db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll()
+    );
+
+    for (const batch of batches) {
+      try {
+        const response = await fetch(this._url, {
+          method: 'POST',
+          body: batch.payload,
+          headers: { 'Content-Type': 'application/json' },
+        });
+        // 4xx other than throttling means the collector will never accept this batch
+        if (!response.ok && (response.status >= 500 || response.status === 429)) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+      } catch (e) {
+        // Exponential backoff with jitter so many tabs don't retry in lockstep
+        this._retryDelay = Math.min(this._retryDelay * 2, this._maxRetryDelay);
+        this._scheduleRetry(this._retryDelay * (0.5 + Math.random() / 2));
+        return;
+      }
+
+      await requestToPromise(
+        db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(batch.id)
+      );
+    }
+
+    this._retryDelay = this._initialRetryDelay;
+  }
+}
@@ -1,4 +1,10 @@
+import { SamplingDecision } from '@opentelemetry/sdk-trace-base';
+
+// Registry of host/path rules that name spans (see urlRules.js, apiRules.js)
+import { matchUrlRule } from './urlRules.js';
+
 export const automaticSpanMethod = async (span, request, result) => {
+  let rule = null;
 
   // Request Section
   try {
@@ -9,18 +15,12 @@ export const automaticSpanMethod = async (span, request, result) => {
       const parsedUrl = new URL(url);
       const queryParam = parsedUrl.searchParams.get('q');
 
-      if (parsedUrl.host == 'api.weatherapi.com') {
-        span.updateName('automatic-weather-api');
-      } else if (parsedUrl.host == 'jsonplaceholder.typicode.com') {
-        span.updateName('automatic-jsonplaceholder-api');
-        // Extract resource type from path (posts, users, todos, etc.)
-        const pathParts = parsedUrl.pathname.split('/').filter(Boolean);
-        if (pathParts.length > 0) {
-          span.setAttribute('api.resource', pathParts[0]);
-          if (pathParts.length > 1) {
-            span.setAttribute('api.resourceId', pathParts[1]);
-          }
-        }
+      // Low-cardinality name, route template and path params from the first matching rule
+      rule = matchUrlRule(parsedUrl);
+      if (rule) {
+        span.updateName(rule.name);
+        span.setAttribute('http.route', rule.route);
+        span.setAttributes(rule.attributes);
       }
 
       if (queryParam) {
@@ -40,13 +40,9 @@ export const automaticSpanMethod = async (span, request, result) => {
 
       if (contentType.includes('application/json')) {
         const body = await clonedResponse.json();
-        if (body?.location) {
-          span.setAttributes({
-            'weather.location.name': body.location.name,
-            'weather.location.region': body.location.region,
-            'weather.location.country': body.location.country,
-            'weather.location.temp_f': body.current.temp_f,
-          });
+        const extracted = rule?.extract?.(body);
+        if (extracted) {
+          span.setAttributes(extracted);
         }
       } else if (contentType.includes('text')) {
         const body = await clonedResponse.text();
@@ -63,3 +59,158 @@ export const automaticSpanMethod = async (span, request, result) => {
 
   span.setAttribute('fromAutoInstrumentation', true);
 }
+
+// Implicit ARIA roles for elements that don't declare one, used for fallback span names
+const implicitRoles = {
+  A: 'link',
+  BUTTON: 'button',
+  FORM: 'form',
+  SELECT: 'combobox',
+  TEXTAREA: 'textbox',
+};
+const inputRoles = {
+  range: 'slider',
+  checkbox: 'checkbox',
+  radio: 'radio',
+  submit: 'button',
+  button: 'button',
+  number: 'spinbutton',
+  search: 'searchbox',
+};
+
+const getElementRole = (element) => {
+  if (element.getAttribute('role')) {
+    return element.getAttribute('role');
+  }
+  if (element.tagName === 'INPUT') {
+    return inputRoles[element.type] || 'textbox';
+  }
+  return implicitRoles[element.tagName] || element.tagName.toLowerCase();
+};
+
+// A short, low-cardinality label; never an input's value, which may hold user data
+const getElementLabel = (element) => {
+  const label = element.getAttribute('aria-label') ||
+    (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)
+      ? element.getAttribute('placeholder') || element.name || element.id
+      : element.textContent) ||
+    '';
+  return label.trim().replace(/\s+/g, ' ').slice(0, 40);
+};
+
+// Markup read by the instrumentation itself rather than copied to spans (see interactionTracking.js)
+const RESERVED_ATTRIBUTES = ['data-otel-name', 'data-otel-track', 'data-otel-commit'];
+
+// High-frequency events only get one span per element per interval
+const THROTTLED_EVENTS = ['input', 'keydown'];
+const THROTTLE_MS = 1000;
+const lastSpanTimes = new WeakMap();
+
+// The sampler doesn't get the event, so initTelemetry() has the key being pressed remembered; capture
+// listeners on window run before any listener on the document or the element, where spans are started
+let pressedKey = null;
+
+export const trackPressedKeys = () => {
+  window.addEventListener('keydown', (e) => {
+    pressedKey = e.key;
+  }, true);
+};
+
+const isThrottled = (element, eventType) => {
+  // Enter submits, so it always gets a span, however fast it follows typing
+  if (!THROTTLED_EVENTS.includes(eventType) || (eventType === 'keydown' && pressedKey === 'Enter')) {
+    return false;
+  }
+  const times = lastSpanTimes.get(element) || {};
+  const now = Date.now();
+  if (now - (times[eventType] || 0) < THROTTLE_MS) {
+    return true;
+  }
+  lastSpanTimes.set(element, { ...times, [eventType]: now });
+  return false;
+};
+
+// The element a user-interaction span is being started for, from the XPath the instrumentation records
+const interactionTarget = (attributes) => {
+  if (!attributes['event_type'] || !attributes['target_xpath']) {
+    return null;
+  }
+  try {
+    return document.evaluate(attributes['target_xpath'], document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Drops user-interaction spans for elements inside `data-otel-ignore`, and
+ * throttled high-frequency events, before they are started, so they are never
+ * recorded. Everything else goes to the delegate sampler. Wraps the whole
+ * sampler, since interactions inside an active span are dropped too.
+ */
+export class InteractionFilterSampler {
+  constructor(delegate) {
+    this._delegate = delegate;
+  }
+
+  shouldSample(context, traceId, spanName, spanKind, attributes = {}, links) {
+    const element = interactionTarget(attributes);
+    if (element instanceof Element) {
+      // Opt-out for UI that only displays telemetry, such as the trace viewer
+      const ignored = !!element.closest('[data-otel-ignore]');
+      if (ignored || isThrottled(element.closest('[data-otel-name]') || element, attributes['event_type'])) {
+        return { decision: SamplingDecision.NOT_RECORD };
+      }
+    }
+    return this._delegate.shouldSample(context, traceId, spanName, spanKind, attributes, links);
+  }
+
+  toString() {
+    return `InteractionFilterSampler{${this._delegate}}`;
+  }
+}
+
+/**
+ * Names user-interaction spans from markup instead of code. The clicked element
+ * or its nearest ancestor with `data-otel-name` names the span (suffixed with the
+ * event type for anything but clicks), and every other `data-otel-*` attribute
+ * becomes a span attribute (`data-otel-button-type` → `button.type`). Elements
+ * without markup fall back to "<event> <role> "<label>"".
+ *
+ * Used as the instrumentation's shouldPreventSpanCreation hook. It returns true
+ * for spans InteractionFilterSampler dropped, so listeners don't run under them.
+ */
+export const nameInteractionSpan = (eventType, element, span) => {
+  if (!span.isRecording()) {
+    return true;
+  }
+
+  const annotated = element.closest('[data-otel-name]');
+  const target = annotated || element;
+
+  const role = getElementRole(target);
+  const label = getElementLabel(target);
+
+  if (annotated) {
+    const otelName = annotated.getAttribute('data-otel-name');
+    span.updateName(eventType === 'click' ? otelName : `${otelName}.${eventType}`);
+
+    for (const { name, value } of annotated.attributes) {
+      if (name.startsWith('data-otel-') && !RESERVED_ATTRIBUTES.includes(name)) {
+        span.setAttribute(name.slice('data-otel-'.length).replace(/-/g, '.'), value);
+      }
+    }
+  } else {
+    span.updateName(label ? `${eventType} ${role} "${label}"` : `${eventType} ${role}`);
+  }
+
+  span.setAttribute('ui.element.role', role);
+  if (label) {
+    span.setAttribute('ui.element.label', label);
+  }
+  if (target.id) {
+    span.setAttribute('ui.element.id', target.id);
+  }
+
+  return false;
+};
@@ -0,0 +1,31 @@
+/**
+ * Propagators
+ *
+ * Builds the propagator registered by initTelemetry() from the names in the
+ * `propagators` setting, so trace context can be sent in whatever format the
+ * backends behind nginx understand:
+ *   - tracecontext: W3C `traceparent` / `tracestate`
+ *   - baggage:      W3C `baggage`, including app-wide entries (see baggage.js)
+ *   - b3:           single `b3` header
+ *   - b3multi:      `X-B3-TraceId`, `X-B3-SpanId`, `X-B3-Sampled` headers
+ * Names follow the OTEL_PROPAGATORS convention used by the backend.
+ */
+
+import { CompositePropagator, W3CTraceContextPropagator } from '@opentelemetry/core';
+import { B3InjectEncoding, B3Propagator } from '@opentelemetry/propagator-b3';
+
+import { AppBaggagePropagator } from './baggage.js';
+
+const PROPAGATOR_FACTORIES = {
+  tracecontext: () => new W3CTraceContextPropagator(),
+  baggage: () => new AppBaggagePropagator(),
+  b3: () => new B3Propagator({ injectEncoding: B3InjectEncoding.SINGLE_HEADER }),
+  b3multi: () => new B3Propagator({ injectEncoding: B3InjectEncoding.MULTI_HEADER }),
+};
+
+export const PROPAGATOR_NAMES = Object.keys(PROPAGATOR_FACTORIES);
+
+// Headers are injected by every named propagator; on extract, later ones win
+export const createPropagator = (names) => new CompositePropagator({
+  propagators: names.map((name) => PROPAGATOR_FACTORIES[name]()),
+});
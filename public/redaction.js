@@ -0,0 +1,114 @@
+/**
+ * PII and Secret Redaction
+ *
+ * A span processor that scrubs span names, attributes and event attributes
+ * before they reach the exporter. It must be registered ahead of the export
+ * processor so it runs first when a span ends.
+ *
+ * Rules (all configurable through the `redaction` telemetry setting):
+ * - queryParamDenylist: query parameters whose values are replaced in any URL
+ * - patterns: regex sources replaced wherever they appear (emails, tokens, ...)
+ * - attributeAllowlist: if set, only these keys (or `prefix.*`) are exported
+ * - bodyAttributes / maxBodyLength: size cap for attributes holding payloads
+ * - maxAttributeLength: size cap for every other string attribute
+ */
+
+export const REDACTED = '[REDACTED]';
+
+const URL_IN_TEXT = /https?:\/\/[^\s"'<>]+/g;
+
+export const DEFAULT_REDACTION_RULES = {
+  queryParamDenylist: ['key', 'api_key', 'apikey', 'token', 'access_token', 'auth', 'password', 'secret', 'signature'],
+  patterns: [
+    '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}', // Email addresses
+    '[Bb]earer\\s+[A-Za-z0-9\\-._~+/]+=*', // Bearer tokens
+    'eyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]*', // JWTs
+  ],
+  attributeAllowlist: null,
+  bodyAttributes: ['response.textBody', 'request.body'],
+  maxBodyLength: 256,
+  maxAttributeLength: 2048,
+};
+
+const truncate = (value, maxLength) =>
+  value.length > maxLength ? `${value.slice(0, maxLength)}…[truncated ${value.length - maxLength} chars]` : value;
+
+export class RedactionSpanProcessor {
+  constructor(rules = {}) {
+    const { queryParamDenylist, patterns, attributeAllowlist, bodyAttributes, maxBodyLength, maxAttributeLength } = {
+      ...DEFAULT_REDACTION_RULES,
+      ...rules,
+    };
+
+    this._deniedParams = new Set(queryParamDenylist.map((param) => param.toLowerCase()));
+    this._patterns = patterns.map((source) => new RegExp(source, 'g'));
+    this._allowlist = attributeAllowlist;
+    this._bodyAttributes = new Set(bodyAttributes);
+    this._maxBodyLength = maxBodyLength;
+    this._maxAttributeLength = maxAttributeLength;
+  }
+
+  onStart() {}
+
+  onEnd(span) {
+    span.name = this.redactString(span.name);
+    this._redactAttributes(span.attributes);
+    for (const event of span.events || []) {
+      if (event.attributes) {
+        this._redactAttributes(event.attributes);
+      }
+    }
+  }
+
+  // Replace denylisted query parameter values in any URL in the text, then apply the patterns
+  redactString(value) {
+    let redacted = value.replace(URL_IN_TEXT, (url) => this._redactUrl(url));
+    for (const pattern of this._patterns) {
+      redacted = redacted.replace(pattern, REDACTED);
+    }
+    return redacted;
+  }
+
+  // Rewritten textually rather than through URL, which would percent-encode the placeholder
+  _redactUrl(url) {
+    return url.replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, separator, param) =>
+      this._deniedParams.has(param.toLowerCase()) ? `${separator}${param}=${REDACTED}` : match
+    );
+  }
+
+  _isAllowed(key) {
+    if (!this._allowlist) {
+      return true;
+    }
+    return this._allowlist.some((allowed) =>
+      allowed.endsWith('.*') ? key.startsWith(allowed.slice(0, -1)) : key === allowed
+    );
+  }
+
+  // Attributes are mutated in place; ended spans hand the exporter these same objects
+  _redactAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      if (!this._isAllowed(key)) {
+        delete attributes[key];
+        continue;
+      }
+
+      if (typeof value === 'string') {
+        const maxLength = this._bodyAttributes.has(key) ? this._maxBodyLength : this._maxAttributeLength;
+        attributes[key] = truncate(this.redactString(value), maxLength);
+      } else if (Array.isArray(value)) {
+        attributes[key] = value.map((item) =>
+          typeof item === 'string' ? truncate(this.redactString(item), this._maxAttributeLength) : item
+        );
+      }
+    }
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Head Sampling
+ *
+ * A rule-based sampler that applies a global ratio plus per-span-name and
+ * per-URL overrides, wrapped in a parent-based sampler so child spans (and
+ * incoming trace context) follow the decision made for their trace.
+ *
+ * With keepErrors on, dropped spans are still recorded (but not sampled), so
+ * that ErrorKeepingSpanProcessor can export a dropped trace after all if an
+ * error is recorded in it. Requests in a dropped trace have already sent
+ * `traceparent` with the sampled flag off, so a kept trace has only browser
+ * spans: the backend dropped its part when the request arrived.
+ */
+
+import { SpanStatusCode, TraceFlags } from '@opentelemetry/api';
+import {
+  ParentBasedSampler,
+  TraceIdRatioBasedSampler,
+  AlwaysOffSampler,
+  SamplingDecision,
+} from '@opentelemetry/sdk-trace-base';
+
+// Keep unsampled spans around in memory in case their trace hits an error
+const recordOnly = (decision) =>
+  decision === SamplingDecision.RECORD_AND_SAMPLED ? decision : SamplingDecision.RECORD;
+
+const recordOnlySampler = {
+  shouldSample: () => ({ decision: SamplingDecision.RECORD }),
+  toString: () => 'RecordOnlySampler',
+};
+
+export class RuleBasedSampler {
+  // rules: [{ name?: regex source, url?: regex source, ratio: 0..1 }]; first match wins
+  constructor({ ratio = 1, rules = [], keepErrors = true } = {}) {
+    this._keepErrors = keepErrors;
+    this._default = new TraceIdRatioBasedSampler(ratio);
+    this._rules = rules.map((rule) => ({
+      name: rule.name ? new RegExp(rule.name) : null,
+      url: rule.url ? new RegExp(rule.url) : null,
+      sampler: new TraceIdRatioBasedSampler(rule.ratio),
+      description: [rule.name && `name=${rule.name}`, rule.url && `url=${rule.url}`].filter(Boolean).join(','),
+    }));
+  }
+
+  shouldSample(context, traceId, spanName, spanKind, attributes = {}) {
+    const url = attributes['http.url'] || attributes['url.full'] || '';
+    const rule = this._rules.find((r) =>
+      (!r.name || r.name.test(spanName)) && (!r.url || r.url.test(url))
+    );
+    const sampler = rule ? rule.sampler : this._default;
+    const { decision } = sampler.shouldSample(context, traceId);
+
+    return {
+      decision: this._keepErrors ? recordOnly(decision) : decision,
+      attributes: { 'sampling.rule': rule ? rule.description : 'default' },
+    };
+  }
+
+  toString() {
+    return `RuleBasedSampler{default=${this._default}, rules=${this._rules.length}}`;
+  }
+}
+
+// Rules decide for new traces; children and remote parents follow the existing decision
+export const createSampler = (samplingConfig) =>
+  new ParentBasedSampler({
+    root: new RuleBasedSampler(samplingConfig),
+    // Recording dropped spans only pays off when ErrorKeepingSpanProcessor may export them
+    localParentNotSampled: samplingConfig.keepErrors === false ? new AlwaysOffSampler() : recordOnlySampler,
+    remoteParentNotSampled: new AlwaysOffSampler(),
+  });
+
+const isSampled = (span) => (span.spanContext().traceFlags & TraceFlags.SAMPLED) !== 0;
+
+const hasError = (span) =>
+  span.status?.code === SpanStatusCode.ERROR ||
+  span.attributes?.error === true ||
+  span.events?.some((event) => event.name === 'exception');
+
+// View of an ended span flagged as sampled, so the export processor accepts it
+const asSampled = (span) => {
+  const spanContext = { ...span.spanContext(), traceFlags: span.spanContext().traceFlags | TraceFlags.SAMPLED };
+  return Object.create(span, { spanContext: { value: () => spanContext } });
+};
+
+/**
+ * Wraps the export processor. Sampled spans pass straight through; spans the
+ * sampler dropped are buffered per trace, and the whole buffer is exported
+ * (along with any later spans of that trace) as soon as one of them has an error.
+ */
+export class ErrorKeepingSpanProcessor {
+  constructor(delegate, { maxBufferedTraces = 100, maxSpansPerTrace = 200 } = {}) {
+    this._delegate = delegate;
+    this._maxBufferedTraces = maxBufferedTraces;
+    this._maxSpansPerTrace = maxSpansPerTrace;
+    this._buffers = new Map();
+    this._keptTraces = new Set();
+  }
+
+  onStart(span, parentContext) {
+    this._delegate.onStart(span, parentContext);
+  }
+
+  onEnd(span) {
+    if (isSampled(span)) {
+      this._delegate.onEnd(span);
+      return;
+    }
+
+    const { traceId } = span.spanContext();
+
+    if (this._keptTraces.has(traceId)) {
+      this._delegate.onEnd(asSampled(span));
+      return;
+    }
+
+    if (hasError(span)) {
+      this.keepTrace(traceId);
+      this._delegate.onEnd(asSampled(span));
+      return;
+    }
+
+    const buffer = this._buffers.get(traceId) || [];
+    if (buffer.length < this._maxSpansPerTrace) {
+      buffer.push(span);
+    }
+    // Re-insert to mark the trace as recently used
+    this._buffers.delete(traceId);
+    this._buffers.set(traceId, buffer);
+
+    if (this._buffers.size > this._maxBufferedTraces) {
+      const oldestTraceId = this._buffers.keys().next().value;
+      this._buffers.delete(oldestTraceId);
+    }
+  }
+
+  // Export everything buffered for a trace, and any spans of it that end later
+  keepTrace(traceId) {
+    this._keptTraces.add(traceId);
+    if (this._keptTraces.size > this._maxBufferedTraces) {
+      this._keptTraces.delete(this._keptTraces.values().next().value);
+    }
+
+    for (const span of this._buffers.get(traceId) || []) {
+      this._delegate.onEnd(asSampled(span));
+    }
+    this._buffers.delete(traceId);
+  }
+
+  forceFlush() {
+    return this._delegate.forceFlush();
+  }
+
+  shutdown() {
+    this._buffers.clear();
+    return this._delegate.shutdown();
+  }
+}
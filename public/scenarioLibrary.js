@@ -0,0 +1,75 @@
+/**
+ * Built-in Request Scenarios
+ *
+ * Request patterns for the scenario runner (see scenarios.js), listed in the
+ * "HTTP Request Tracing" card. They call public test APIs, so the traces show
+ * real network timing; add an entry here to reproduce another app's pattern.
+ */
+
+const JSONPLACEHOLDER = 'https://jsonplaceholder.typicode.com';
+
+// httpbin holds the response for the given number of seconds, so a shorter timeout always fires
+const SLOW_ENDPOINT = 'https://httpbin.org/delay/3';
+
+export const SCENARIOS = {
+  'api-cascade': {
+    name: 'api-cascade',
+    spanName: 'getDataCascade',
+    description: 'A post over XHR, then its author (fetch) and a todo (XHR) in parallel',
+    steps: [
+      { name: 'post', request: { url: `${JSONPLACEHOLDER}/posts/1`, transport: 'xhr' } },
+      {
+        name: 'post details',
+        parallel: [
+          { name: 'user', request: { url: `${JSONPLACEHOLDER}/users/1` } },
+          { name: 'todo', request: { url: `${JSONPLACEHOLDER}/todos/1`, transport: 'xhr' } },
+        ],
+      },
+    ],
+  },
+
+  'page-load-fan-out': {
+    name: 'page-load-fan-out',
+    description: 'A user, then their posts, albums and todos in parallel, then the first post\'s comments',
+    steps: [
+      { name: 'user', request: { url: `${JSONPLACEHOLDER}/users/1` } },
+      {
+        name: 'user content',
+        parallel: [
+          { name: 'posts', request: { url: `${JSONPLACEHOLDER}/users/1/posts` } },
+          { name: 'albums', request: { url: `${JSONPLACEHOLDER}/users/1/albums` } },
+          { name: 'todos', request: { url: `${JSONPLACEHOLDER}/users/1/todos`, transport: 'xhr' } },
+        ],
+      },
+      { name: 'think time', delay: 500 },
+      { name: 'comments', request: { url: `${JSONPLACEHOLDER}/posts/1/comments` } },
+    ],
+  },
+
+  'error-cases': {
+    name: 'error-cases',
+    description: 'A timeout, a 404 and an unreachable host side by side, then a request that succeeds',
+    steps: [
+      {
+        name: 'failures',
+        parallel: [
+          { name: 'slow endpoint (fetch)', expectError: true, request: { url: SLOW_ENDPOINT, timeoutMillis: 1000 } },
+          { name: 'slow endpoint (xhr)', expectError: true, request: { url: SLOW_ENDPOINT, transport: 'xhr', timeoutMillis: 1000 } },
+          { name: 'missing post', expectError: true, request: { url: `${JSONPLACEHOLDER}/posts/0` } },
+          { name: 'unreachable host', expectError: true, request: { url: 'https://unreachable.invalid/' } },
+        ],
+      },
+      { name: 'recovery', request: { url: `${JSONPLACEHOLDER}/posts/1` } },
+    ],
+  },
+
+  'unexpected-failure': {
+    name: 'unexpected-failure',
+    description: 'A sequence that stops at a 404 nobody expected, skipping the steps after it',
+    steps: [
+      { name: 'post', request: { url: `${JSONPLACEHOLDER}/posts/1` } },
+      { name: 'missing post', request: { url: `${JSONPLACEHOLDER}/posts/0` } },
+      { name: 'comments', request: { url: `${JSONPLACEHOLDER}/posts/1/comments` } },
+    ],
+  },
+};
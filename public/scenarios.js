@@ -0,0 +1,269 @@
+/**
+ * Request Scenario Runner
+ *
+ * Replays a declarative description of an app's request pattern so we can see
+ * how its traces come out. A scenario is a list of steps run in order; a step
+ * is one of:
+ *
+ *   { name, request: { url, method, transport: 'fetch' | 'xhr', timeoutMillis } }
+ *   { name, sequence: [steps], continueOnError }
+ *   { name, parallel: [steps] }
+ *   { name, delay: millis }
+ *
+ * A request can set `expectError: true` for failures the scenario is meant to
+ * produce (timeouts, 404s, unreachable hosts); it then fails if it succeeds.
+ * A sequence stops at its first failed step unless `continueOnError` is set;
+ * a parallel group always waits for all of its steps.
+ *
+ * The whole run is one trace: a root span (`scenario.run`, or the scenario's
+ * `spanName`), a `scenario.sequence` / `scenario.parallel` span per group and
+ * a `scenario.request` span per request, under which the fetch/XHR
+ * instrumentation adds its own span.
+ */
+
+import { context, trace } from '@opentelemetry/api';
+
+import { markXhrHandled } from './errorTracking.js';
+import { TimeoutError, resilientFetch } from './httpClient.js';
+import { log, logToUI } from './utility.js';
+
+const tracer = trace.getTracer('scenarios');
+
+const DEFAULT_TIMEOUT_MILLIS = 5000;
+
+export class HttpStatusError extends Error {
+  constructor(url, status) {
+    super(`Request to ${url} responded with ${status}`);
+    this.name = 'HttpStatusError';
+    this.status = status;
+  }
+}
+
+// XMLHttpRequest as a promise that settles on load, network error, timeout and abort alike
+export const xhrRequest = (url, { method = 'GET', timeoutMillis = DEFAULT_TIMEOUT_MILLIS } = {}) => new Promise((resolve, reject) => {
+  const req = new XMLHttpRequest();
+  req.open(method, url, true);
+  req.timeout = timeoutMillis;
+  req.setRequestHeader('Accept', 'application/json');
+  // Failures are recorded on the step's span, and may be expected, so they aren't reported as exceptions too
+  markXhrHandled(req);
+  req.onload = () => resolve({ status: req.status });
+  // Network failures only fire onerror
+  req.onerror = () => reject(new Error(`XHR request to ${url} failed`));
+  req.ontimeout = () => reject(new TimeoutError(url, timeoutMillis));
+  req.onabort = () => reject(new DOMException(`XHR request to ${url} was aborted`, 'AbortError'));
+  req.send();
+});
+
+const transports = {
+  fetch: (url, { method, timeoutMillis }) => resilientFetch(url, {
+    method,
+    headers: { 'Accept': 'application/json' },
+    timeoutMillis,
+    retries: 0,
+  }),
+  xhr: xhrRequest,
+};
+
+const stepType = (step) => ['request', 'sequence', 'parallel', 'delay'].find((type) => type in step);
+
+// Throws on the first step the runner can't run, before any request is sent
+export const validateScenario = (scenario) => {
+  const check = (step) => {
+    const type = stepType(step);
+    if (!type) {
+      throw new Error(`Scenario step needs one of request, sequence, parallel or delay: ${JSON.stringify(step)}`);
+    }
+    if (type === 'request' && !transports[step.request.transport || 'fetch']) {
+      throw new Error(`Unknown transport "${step.request.transport}" in scenario step "${describeStep(step, type)}"`);
+    }
+    if (type === 'sequence' || type === 'parallel') {
+      step[type].forEach(check);
+    }
+  };
+
+  if (!scenario?.name || !Array.isArray(scenario.steps)) {
+    throw new Error('A scenario needs a name and a list of steps');
+  }
+  scenario.steps.forEach(check);
+};
+
+const describeStep = (step, type) => step.name || (type === 'request' ? step.request.url : type);
+
+// Runs fn in a new span; fn returns { status, ...result } and the span is closed with it, or with the error fn throws
+const inStepSpan = (spanName, attributes, fn) => {
+  const span = tracer.startSpan(spanName, { attributes });
+  const startTime = performance.now();
+
+  return context.with(trace.setSpan(context.active(), span), async () => {
+    try {
+      const result = await fn(span);
+      span.setAttribute('scenario.step.status', result.status);
+      if (result.status === 'failed') {
+        span.setAttribute('error', true);
+      }
+      return { ...result, durationMs: Math.round(performance.now() - startTime) };
+    } catch (e) {
+      span.recordException(e);
+      span.setAttribute('error', true);
+      throw e;
+    } finally {
+      span.end();
+    }
+  });
+};
+
+const runRequest = (step, name) => {
+  const { url, method = 'GET', transport = 'fetch', timeoutMillis = DEFAULT_TIMEOUT_MILLIS } = step.request;
+  const send = transports[transport];
+
+  return inStepSpan('scenario.request', {
+    'scenario.step.name': name,
+    'scenario.step.expect_error': !!step.expectError,
+    'scenario.transport': transport,
+    'scenario.timeout_ms': timeoutMillis,
+    'http.request.method': method,
+    'url.full': url,
+  }, async (span) => {
+    let error = null;
+    let status;
+    try {
+      ({ status } = await send(url, { method, timeoutMillis }));
+      span.setAttribute('http.response.status_code', status);
+      if (status >= 400) {
+        error = new HttpStatusError(url, status);
+      }
+    } catch (e) {
+      error = e;
+    }
+
+    if (error) {
+      span.recordException(error);
+      span.setAttribute('scenario.error.type', error.name);
+    }
+    span.setAttribute('scenario.outcome', error ? 'error' : 'ok');
+
+    const passed = !!error === !!step.expectError;
+    const result = { name, type: 'request', status: passed ? 'passed' : 'failed', outcome: error ? 'error' : 'ok' };
+    if (status !== undefined) {
+      result.httpStatus = status;
+    }
+    if (error || !passed) {
+      result.error = error ? error.message : 'Expected an error but the request succeeded';
+    }
+    return result;
+  });
+};
+
+const runDelay = async (step, name) => {
+  trace.getSpan(context.active())?.addEvent('scenario.delay', { 'scenario.step.name': name, 'scenario.delay_ms': step.delay });
+  await new Promise((resolve) => setTimeout(resolve, step.delay));
+  return { name, type: 'delay', status: 'passed', durationMs: step.delay };
+};
+
+// Runs steps one after another; after a failed step the rest are skipped unless continueOnError is set
+const runSteps = async (steps, continueOnError) => {
+  const results = [];
+  let stopped = false;
+  for (const step of steps) {
+    if (stopped) {
+      results.push({ name: describeStep(step, stepType(step)), type: stepType(step), status: 'skipped' });
+      continue;
+    }
+    const result = await runStep(step);
+    results.push(result);
+    stopped = result.status === 'failed' && !continueOnError;
+  }
+  return results;
+};
+
+const groupStatus = (children) => (children.some((child) => child.status === 'failed') ? 'failed' : 'passed');
+
+const runGroup = (step, name, type) => inStepSpan(`scenario.${type}`, {
+  'scenario.step.name': name,
+  'scenario.step.count': step[type].length,
+}, async () => {
+  const children = type === 'parallel'
+    ? await Promise.all(step[type].map(runStep))
+    : await runSteps(step[type], step.continueOnError);
+  return { name, type, status: groupStatus(children), children };
+});
+
+const runStep = (step) => {
+  const type = stepType(step);
+  const name = describeStep(step, type);
+
+  if (type === 'request') {
+    return runRequest(step, name);
+  }
+  if (type === 'delay') {
+    return runDelay(step, name);
+  }
+  return runGroup(step, name, type);
+};
+
+// Request results from every group, in order (a skipped group counts as one skipped request)
+const requestResults = (results) => results.flatMap((result) => {
+  if (result.children) {
+    return requestResults(result.children);
+  }
+  return result.type === 'delay' ? [] : [result];
+});
+
+const countByStatus = (results, status) => results.filter((result) => result.status === status).length;
+
+/**
+ * Runs a scenario ({ name, spanName?, description?, steps, continueOnError? })
+ * and resolves to { name, status, steps: [results] } once every step has settled.
+ * Failed steps don't reject; the run's status and its spans say what happened.
+ * An invalid scenario throws before any request is sent, and a step that throws
+ * ends its spans with the exception and rejects the run.
+ */
+export const runScenario = async (scenario) => {
+  validateScenario(scenario);
+
+  const rootSpan = tracer.startSpan(scenario.spanName || 'scenario.run', {
+    attributes: { 'scenario.name': scenario.name },
+  });
+
+  return await context.with(trace.setSpan(context.active(), rootSpan), async () => {
+    logToUI(`Scenario: ${scenario.name}`, rootSpan.spanContext(), 'fetch', {
+      'Description': scenario.description || 'N/A',
+      'Steps': scenario.steps.length,
+    });
+
+    let steps;
+    try {
+      steps = await runSteps(scenario.steps, scenario.continueOnError);
+    } catch (e) {
+      rootSpan.recordException(e);
+      rootSpan.setAttribute('error', true);
+      rootSpan.end();
+      throw e;
+    }
+
+    const status = groupStatus(steps);
+    const requests = requestResults(steps);
+    const counts = {
+      passed: countByStatus(requests, 'passed'),
+      failed: countByStatus(requests, 'failed'),
+      skipped: countByStatus(requests, 'skipped'),
+    };
+    rootSpan.setAttribute('scenario.status', status);
+    rootSpan.setAttribute('scenario.requests.passed', counts.passed);
+    rootSpan.setAttribute('scenario.requests.failed', counts.failed);
+    rootSpan.setAttribute('scenario.requests.skipped', counts.skipped);
+    if (status === 'failed') {
+      rootSpan.setAttribute('error', true);
+    }
+    rootSpan.end();
+
+    log(`Scenario ${scenario.name} ${status}`, status === 'passed' ? 'success' : 'error', {
+      'Passed': counts.passed,
+      'Failed': counts.failed,
+      'Skipped': counts.skipped,
+    });
+
+    return { name: scenario.name, status, steps };
+  });
+};
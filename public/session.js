@@ -0,0 +1,122 @@
+/**
+ * Session and User Identity
+ *
+ * Keeps a browser session ID in sessionStorage, rotating it after a period of
+ * inactivity or once it reaches a maximum lifetime, and an optional
+ * pseudonymous user ID set by the app. A span processor stamps both on every
+ * span so all spans from one visit can be grouped together.
+ */
+
+const SESSION_STORAGE_KEY = 'otel.session';
+const USER_STORAGE_KEY = 'otel.user.id';
+
+// Rotate after 30 minutes without activity, or 4 hours regardless of activity
+const INACTIVITY_TIMEOUT_MS = 30 * 60 * 1000;
+const MAX_LIFETIME_MS = 4 * 60 * 60 * 1000;
+
+// Avoid rewriting sessionStorage on every span; activity is only tracked to this resolution
+const ACTIVITY_WRITE_INTERVAL_MS = 5000;
+
+let session = null;
+let userId = null;
+
+const generateId = () => {
+  if (crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Storage is passed as a getter: in sandboxed iframes even reading the sessionStorage/localStorage global throws
+const readStorage = (getStorage, key) => {
+  try {
+    return getStorage().getItem(key);
+  } catch (e) {
+    // Storage can throw in private browsing modes or sandboxed iframes
+    return null;
+  }
+};
+
+const writeStorage = (getStorage, key, value) => {
+  try {
+    if (value === null) {
+      getStorage().removeItem(key);
+    } else {
+      getStorage().setItem(key, value);
+    }
+  } catch (e) {
+    // Identity still works in memory for this page if storage is unavailable
+  }
+};
+
+const isExpired = (s, now) =>
+  now - s.lastActivityAt > INACTIVITY_TIMEOUT_MS || now - s.startedAt > MAX_LIFETIME_MS;
+
+const startSession = (now) => {
+  session = { id: generateId(), startedAt: now, lastActivityAt: now };
+  writeStorage(() => sessionStorage, SESSION_STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
+
+// Current session ID; rotates the session if it expired and records activity
+export const getSessionId = () => {
+  const now = Date.now();
+
+  if (!session) {
+    try {
+      session = JSON.parse(readStorage(() => sessionStorage, SESSION_STORAGE_KEY));
+    } catch (e) {
+      session = null;
+    }
+  }
+
+  if (!session?.id || isExpired(session, now)) {
+    return startSession(now).id;
+  }
+
+  if (now - session.lastActivityAt > ACTIVITY_WRITE_INTERVAL_MS) {
+    session.lastActivityAt = now;
+    writeStorage(() => sessionStorage, SESSION_STORAGE_KEY, JSON.stringify(session));
+  }
+
+  return session.id;
+};
+
+// Set a pseudonymous user ID (never an email or real name); pass null to clear it
+export const setUserId = (id) => {
+  userId = id ? String(id) : null;
+  writeStorage(() => localStorage, USER_STORAGE_KEY, userId);
+};
+
+export const getUserId = () => {
+  if (userId === null) {
+    userId = readStorage(() => localStorage, USER_STORAGE_KEY);
+  }
+  return userId;
+};
+
+// localStorage key for a per-user preference, so people sharing a browser keep their own
+export const userStorageKey = (name) => `${name}.${getUserId() || 'anonymous'}`;
+
+// Stamps session.id and user.id on every span at start, including auto-instrumented ones
+export class SessionSpanProcessor {
+  onStart(span) {
+    span.setAttribute('session.id', getSessionId());
+
+    const currentUserId = getUserId();
+    if (currentUserId) {
+      span.setAttribute('user.id', currentUserId);
+    }
+  }
+
+  onEnd() {}
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Recent Span Buffer
+ *
+ * Keeps the most recently ended spans in a fixed-size ring buffer, so the
+ * exact spans of a session can be exported from the telemetry panel when
+ * someone reports a bug (see spanExport.js). Once full, each new span
+ * replaces the oldest one.
+ */
+
+export class SpanRingBuffer {
+  constructor(capacity) {
+    this._capacity = capacity;
+    this._items = new Array(capacity);
+    this._next = 0;
+    this._size = 0;
+  }
+
+  get size() {
+    return this._size;
+  }
+
+  push(item) {
+    this._items[this._next] = item;
+    this._next = (this._next + 1) % this._capacity;
+    this._size = Math.min(this._size + 1, this._capacity);
+  }
+
+  // Oldest first
+  toArray() {
+    const start = (this._next - this._size + this._capacity) % this._capacity;
+    return Array.from({ length: this._size }, (_, i) => this._items[(start + i) % this._capacity]);
+  }
+
+  clear() {
+    this._items = new Array(this._capacity);
+    this._next = 0;
+    this._size = 0;
+  }
+}
+
+let buffer = new SpanRingBuffer(1000);
+
+export const getBufferedSpans = () => buffer.toArray();
+
+export const clearBufferedSpans = () => buffer.clear();
+
+// Register after RedactionSpanProcessor, so exported files hold the same scrubbed spans the collector gets
+export class SpanBufferProcessor {
+  constructor(capacity) {
+    buffer = new SpanRingBuffer(capacity);
+  }
+
+  onStart() {}
+
+  onEnd(span) {
+    buffer.push(span);
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * Span Export and Import
+ *
+ * The telemetry panel's Export button downloads the spans kept by
+ * spanBuffer.js, so a bug report can carry the exact spans of a session:
+ * - OTLP JSON: the same body the exporter sends to /v1/traces, so the file
+ *   can be replayed into a collector (`curl -H 'Content-Type: application/json'
+ *   --data @spans.json http://localhost:4318/v1/traces`)
+ * - HAR: fetch/XHR spans as HAR 1.2 entries for browser devtools and HAR
+ *   viewers, with trace and span IDs kept in `_traceId` / `_spanId` fields
+ *
+ * Import reads either format (or a HAR saved from devtools) back into the
+ * trace viewer, marked as imported.
+ */
+
+import { hrTimeToMilliseconds } from '@opentelemetry/core';
+
+// Serializes spans to the OTLP/JSON request body the collector accepts on /v1/traces
+import { JsonTraceSerializer } from '@opentelemetry/otlp-transformer';
+
+import { clearBufferedSpans, getBufferedSpans } from './spanBuffer.js';
+import { importTraces, spanTypeOf } from './traceViewer.js';
+import { log } from './utility.js';
+
+const HTTP_SCOPES = ['@opentelemetry/instrumentation-fetch', '@opentelemetry/instrumentation-xml-http-request'];
+
+// OTLP status code for errors (STATUS_CODE_ERROR)
+const OTLP_STATUS_ERROR = 2;
+
+// SDK 1.x calls it instrumentationLibrary, 2.x instrumentationScope
+const scopeName = (span) => (span.instrumentationScope || span.instrumentationLibrary)?.name;
+
+export const toOtlpJson = (spans) => new TextDecoder().decode(JsonTraceSerializer.serializeRequest(spans));
+
+// Old and current HTTP semantic conventions, as the fetch/XHR instrumentations emit either
+const httpAttribute = (attributes, ...keys) => keys.map((key) => attributes[key]).find((value) => value !== undefined);
+
+// Milliseconds between two performance timing events on the span, or -1 if either is missing
+const timingBetween = (events, from, to) => {
+  const start = events.find((event) => event.name === from);
+  const end = events.find((event) => event.name === to);
+  if (!start || !end) {
+    return -1;
+  }
+  return Math.max(hrTimeToMilliseconds(end.time) - hrTimeToMilliseconds(start.time), 0);
+};
+
+const toHarEntry = (span) => {
+  const { attributes, events } = span;
+  const startTime = hrTimeToMilliseconds(span.startTime);
+  const duration = hrTimeToMilliseconds(span.endTime) - startTime;
+  const url = String(httpAttribute(attributes, 'http.url', 'url.full') || '');
+  const wait = timingBetween(events, 'requestStart', 'responseStart');
+
+  let queryString = [];
+  try {
+    queryString = [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    // Relative or missing URL; leave the query string empty
+  }
+
+  return {
+    startedDateTime: new Date(startTime).toISOString(),
+    time: duration,
+    request: {
+      method: String(httpAttribute(attributes, 'http.method', 'http.request.method') || 'GET'),
+      url,
+      httpVersion: '',
+      headers: [],
+      queryString,
+      cookies: [],
+      headersSize: -1,
+      bodySize: -1,
+    },
+    response: {
+      status: Number(httpAttribute(attributes, 'http.status_code', 'http.response.status_code') || 0),
+      statusText: String(attributes['http.status_text'] || ''),
+      httpVersion: '',
+      headers: [],
+      cookies: [],
+      content: {
+        size: Number(httpAttribute(attributes, 'http.response_content_length', 'http.response.body.size') ?? -1),
+        mimeType: '',
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: {
+      blocked: -1,
+      dns: timingBetween(events, 'domainLookupStart', 'domainLookupEnd'),
+      connect: timingBetween(events, 'connectStart', 'connectEnd'),
+      ssl: timingBetween(events, 'secureConnectionStart', 'connectEnd'),
+      send: 0,
+      // Without resource timing, the whole span counts as waiting for the response
+      wait: wait >= 0 ? wait : duration,
+      receive: Math.max(timingBetween(events, 'responseStart', 'responseEnd'), 0),
+    },
+    _traceId: span.spanContext().traceId,
+    _spanId: span.spanContext().spanId,
+    _parentSpanId: span.parentSpanId,
+    _spanName: span.name,
+    _spanType: spanTypeOf(scopeName(span)),
+    _attributes: attributes,
+  };
+};
+
+// fetch/XHR spans only; everything else has no request to describe
+export const toHar = (spans) => JSON.stringify({
+  log: {
+    version: '1.2',
+    creator: { name: 'vanilla-frontend telemetry panel', version: '1.0' },
+    pages: [],
+    entries: spans
+      .filter((span) => HTTP_SCOPES.includes(scopeName(span)))
+      .map(toHarEntry),
+  },
+}, null, 2);
+
+const nanosToMillis = (nanos) => Number(BigInt(nanos) / 1000n) / 1000;
+
+const fromOtlpValue = (value = {}) => {
+  if ('arrayValue' in value) {
+    return (value.arrayValue.values || []).map(fromOtlpValue);
+  }
+  if ('intValue' in value) {
+    return Number(value.intValue);
+  }
+  return value.stringValue ?? value.doubleValue ?? value.boolValue ?? null;
+};
+
+const fromOtlpAttributes = (attributes = []) => Object.fromEntries(attributes.map(({ key, value }) => [key, fromOtlpValue(value)]));
+
+const fromOtlpJson = (body) => body.resourceSpans.flatMap((resourceSpans) =>
+  (resourceSpans.scopeSpans || []).flatMap((scopeSpans) => (scopeSpans.spans || []).map((span) => {
+    const startTime = nanosToMillis(span.startTimeUnixNano);
+    const endTime = nanosToMillis(span.endTimeUnixNano);
+    const attributes = fromOtlpAttributes(span.attributes);
+    const events = (span.events || []).map((event) => ({
+      name: event.name,
+      time: nanosToMillis(event.timeUnixNano),
+      attributes: fromOtlpAttributes(event.attributes),
+    }));
+
+    return {
+      traceId: span.traceId,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId || undefined,
+      name: span.name,
+      type: spanTypeOf(scopeSpans.scope?.name),
+      startTime,
+      endTime,
+      duration: endTime - startTime,
+      attributes,
+      events,
+      isError: span.status?.code === OTLP_STATUS_ERROR ||
+        attributes.error === true ||
+        events.some((event) => event.name === 'exception'),
+      sampled: true,
+    };
+  }))
+);
+
+// Entries from devtools have no trace context; they're grouped into one trace per file with generated IDs
+const fromHar = (body) => {
+  const fallbackTraceId = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, '0')).join('');
+
+  return body.log.entries.map((entry, index) => {
+    const startTime = new Date(entry.startedDateTime).getTime();
+    const status = entry.response?.status;
+    return {
+      traceId: entry._traceId || fallbackTraceId,
+      spanId: entry._spanId || (index + 1).toString(16).padStart(16, '0'),
+      parentSpanId: entry._parentSpanId,
+      name: entry._spanName || `${entry.request.method} ${entry.request.url}`,
+      type: entry._spanType || 'fetch',
+      startTime,
+      endTime: startTime + entry.time,
+      duration: entry.time,
+      attributes: entry._attributes || {
+        'http.method': entry.request.method,
+        'http.url': entry.request.url,
+        'http.status_code': status,
+      },
+      events: [],
+      isError: !status || status >= 400,
+      sampled: true,
+    };
+  });
+};
+
+// Span records for the trace viewer from an exported OTLP JSON or HAR file
+export const parseTraceFile = (text) => {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not a JSON file: ${e.message}`);
+  }
+
+  if (Array.isArray(body?.resourceSpans)) {
+    return fromOtlpJson(body);
+  }
+  if (Array.isArray(body?.log?.entries)) {
+    return fromHar(body);
+  }
+  throw new Error('Expected OTLP JSON (resourceSpans) or a HAR file (log.entries)');
+};
+
+const FORMATS = {
+  otlp: { serialize: toOtlpJson, extension: 'otlp.json', mimeType: 'application/json' },
+  har: { serialize: toHar, extension: 'har', mimeType: 'application/json' },
+};
+
+const download = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers start the download after click() returns; revoking now can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const exportSpans = (format) => {
+  const { serialize, extension, mimeType } = FORMATS[format];
+  const spans = getBufferedSpans();
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  download(serialize(spans), `spans-${timestamp}.${extension}`, mimeType);
+  log(`Exported ${spans.length} spans`, 'success', { 'Format': format === 'har' ? 'HAR (fetch/XHR only)' : 'OTLP JSON' });
+};
+
+export const importSpans = async (file) => {
+  try {
+    const records = parseTraceFile(await file.text());
+    importTraces(records);
+    log(`Imported ${records.length} spans`, 'success', { 'File': file.name });
+    return records;
+  } catch (e) {
+    log('Could not import spans', 'error', { 'File': file.name, 'Error': e.message });
+    return [];
+  }
+};
+
+export const initSpanExport = () => {
+  const formatSelect = document.querySelector('#exportFormat');
+  const fileInput = document.querySelector('#importFile');
+
+  document.querySelector('#exportSpans').addEventListener('click', () => exportSpans(formatSelect.value));
+
+  document.querySelector('#importSpans').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    if (file) {
+      await importSpans(file);
+      // Show what was imported
+      document.querySelector('#showTraces').click();
+    }
+    fileInput.value = '';
+  });
+
+  // Clearing the panel also starts a fresh export
+  document.querySelector('#clearLogs').addEventListener('click', clearBufferedSpans);
+};
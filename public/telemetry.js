@@ -1,5 +1,5 @@
-// Import the custom method overriding automatic span generation
-import { automaticSpanMethod } from './otelMethods.js';
+// Import the custom methods overriding automatic span generation
+import { automaticSpanMethod, nameInteractionSpan, InteractionFilterSampler, trackPressedKeys } from './otelMethods.js';
 
 // Import the WebTracerProvider, which is the core provider for browser-based tracing
 import { WebTracerProvider } from '@opentelemetry/sdk-trace-web';
@@ -16,15 +16,12 @@ import { getWebAutoInstrumentations } from '@opentelemetry/auto-instrumentations
 // Document Load Instrumentation automatically creates spans for document load events
 import { DocumentLoadInstrumentation } from '@opentelemetry/instrumentation-document-load';
 
-// This context manager ensures span context is maintained across async boundaries in the browser
-import { ZoneContextManager } from '@opentelemetry/context-zone';
+// Zone-based context manager that also parents spans under an in-progress SPA route change
+import { NavigationContextManager, NavigationSpanProcessor, initNavigation } from './navigation.js';
 
 /* Packages for exporting traces */
-// BatchSpanProcessor batches spans together before sending (better for production)
-import { BatchSpanProcessor } from '@opentelemetry/sdk-trace-base';
-
-// Import the OTLP HTTP exporter for sending traces to the collector over HTTP
-import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+// Batched span export to the configured backends (OTLP, console, in-memory, Zipkin)
+import { createExportProcessor } from './exporters.js';
 
 // Defines a Resource to include metadata like service.name, required by Elastic
 import { Resource } from '@opentelemetry/resources';
@@ -32,84 +29,112 @@ import { Resource } from '@opentelemetry/resources';
 // Provides standard semantic keys for attributes, like service.name
 import { SemanticResourceAttributes } from '@opentelemetry/semantic-conventions';
 
-// Propagators for distributed tracing (sends trace context to backend)
-import { W3CTraceContextPropagator } from '@opentelemetry/core';
-import { CompositePropagator } from '@opentelemetry/core';
+// Propagators for distributed tracing (sends trace context and baggage to backend)
+import { createPropagator } from './propagation.js';
+
+// MeterProvider setup for exporting metrics alongside traces
+import { initMetrics } from './metrics.js';
+
+// LoggerProvider setup for exporting structured log records
+import { initLogs } from './logs.js';
+
+// Core Web Vitals, long tasks and the page-view span that parents them
+import { initWebVitals, getBrowserResourceAttributes } from './webVitals.js';
+
+// Stamps session.id and user.id on every span
+import { SessionSpanProcessor } from './session.js';
+
+// Runtime configuration (defaults, build-time env vars, /telemetry-config.json)
+import { resolveTelemetryConfig } from './config.js';
+
+// Rule-based head sampling, plus keeping dropped traces that turn out to contain errors
+import { createSampler, ErrorKeepingSpanProcessor } from './sampling.js';
+
+// Scrubs API keys, tokens and PII from spans before they are exported
+import { RedactionSpanProcessor } from './redaction.js';
+
+// Feeds the in-page trace waterfall viewer
+import { TraceViewerSpanProcessor } from './traceViewer.js';
+
+// Keeps recent spans for export from the telemetry panel
+import { SpanBufferProcessor } from './spanBuffer.js';
 
 
-export function initTelemetry() {
+export async function initTelemetry(options = {}) {
+  // Invalid settings are reported to the console and replaced with defaults
+  const { config } = await resolveTelemetryConfig(options);
+
+  // Shared by traces, metrics and logs so all three are attributed to the same service
+  const resource = new Resource({
+    [SemanticResourceAttributes.SERVICE_NAME]: config.serviceName,
+    [SemanticResourceAttributes.SERVICE_VERSION]: config.serviceVersion,
+    [SemanticResourceAttributes.DEPLOYMENT_ENVIRONMENT]: config.environment,
+    ...getBrowserResourceAttributes(),
+  });
+
   const provider = new WebTracerProvider({
-    resource: new Resource({
-      [SemanticResourceAttributes.SERVICE_NAME]: 'vanilla-frontend',
-      [SemanticResourceAttributes.DEPLOYMENT_ENVIRONMENT]: 'development',
-    }),
+    resource,
+    // Ignored and throttled user interactions are dropped before any sampling rule applies
+    sampler: new InteractionFilterSampler(createSampler(config.sampling)),
   });
 
+  provider.addSpanProcessor(new SessionSpanProcessor());
+
+  // Tracks in-flight requests so route-change spans know when the route has settled
+  provider.addSpanProcessor(new NavigationSpanProcessor());
+
+  // Must be added before the export processor so spans are scrubbed first
+  provider.addSpanProcessor(new RedactionSpanProcessor(config.redaction));
+
+  // After redaction, so the viewer shows spans as they are exported
+  provider.addSpanProcessor(new TraceViewerSpanProcessor());
+  provider.addSpanProcessor(new SpanBufferProcessor(config.spanBufferSize));
+
+  // One batch processor per configured exporter
+  const { processor: exportProcessor, urls: exporterUrls } = createExportProcessor(config);
   provider.addSpanProcessor(
-    new BatchSpanProcessor(
-      new OTLPTraceExporter({
-        url: 'http://localhost:4318/v1/traces',
-      }),
-      {
-        // Batch config to prevent overwhelming the collector
-        maxQueueSize: 2048,
-        maxExportBatchSize: 512,
-        scheduledDelayMillis: 1000, // Send every 1 second
-      }
-    )
+    config.sampling.keepErrors ? new ErrorKeepingSpanProcessor(exportProcessor) : exportProcessor
   );
 
   // Register with context manager AND propagator for distributed tracing
   provider.register({
-    contextManager: new ZoneContextManager(),
-    propagator: new CompositePropagator({
-      propagators: [new W3CTraceContextPropagator()],
-    }),
+    contextManager: new NavigationContextManager(),
+    propagator: createPropagator(config.propagators),
   });
 
-  // Custom method to rename click spans based on element
-  const customizeClickSpan = (span, element) => {
-    // Update span name based on which element was clicked
-    if (element.id === 'getWeather') {
-      span.updateName('weather-button-click');
-      span.setAttribute('button.type', 'weather-api');
-      span.setAttribute('button.label', element.textContent);
-    } else if (element.id === 'button1') {
-      span.updateName('manual-span-button-click');
-      span.setAttribute('button.type', 'manual-instrumentation');
-      span.setAttribute('button.label', element.textContent);
-    } else if (element.id === 'button2') {
-      span.updateName('api-simulation-button-click');
-      span.setAttribute('button.type', 'api-cascade');
-      span.setAttribute('button.label', element.textContent);
-    } else if (element.id === 'clearLogs') {
-      span.updateName('clear-logs-button-click');
-      span.setAttribute('button.type', 'utility');
-    }
-  };
+  initMetrics(resource, config);
+  initLogs(resource, config);
 
   const autoInstSettings = {
     '@opentelemetry/instrumentation-fetch': {
       applyCustomAttributesOnSpan: automaticSpanMethod,
+      // Don't trace the exporters' own requests, such as the offline exporter's retries to the collector
+      ignoreUrls: exporterUrls,
       // Propagate trace headers to backend (required for distributed tracing)
-      propagateTraceHeaderCorsUrls: [
-        /localhost:8000/,  // Backend service
-        /http:\/\/localhost:8000\/.*/,  // Regex pattern for backend
-      ]
+      propagateTraceHeaderCorsUrls: config.propagateTraceHeaderCorsUrls,
     },
     '@opentelemetry/instrumentation-user-interaction': {
-      "events": ['click'],
-      applyCustomAttributesOnSpan: customizeClickSpan
+      eventNames: config.interactionEvents,
+      // Names spans from data-otel-* markup on the element (see otelMethods.js)
+      shouldPreventSpanCreation: nameInteractionSpan,
     },
   }
 
+  // Lets the interaction sampler tell Enter, which is never throttled, from other keys
+  trackPressedKeys();
+
   registerInstrumentations({
     instrumentations: [
       new getWebAutoInstrumentations(autoInstSettings),
     ],
   });
 
+  initWebVitals();
+  initNavigation(config.routes);
 
 
   console.log('OpenTelemetry frontend initialized');
+
+  // exporterUrls lets other hooks skip the exporters' own requests
+  return { config, exporterUrls };
 }
@@ -0,0 +1,357 @@
+/**
+ * In-Page Trace Waterfall Viewer
+ *
+ * TraceViewerSpanProcessor keeps a copy of recently ended spans, grouped by
+ * trace. The viewer in the telemetry log panel renders each trace as a
+ * collapsible parent/child waterfall with durations, shows a span's
+ * attributes, events and exceptions when it is selected, and can filter by
+ * span name, span type and error status. Traces imported from an exported
+ * file (see spanExport.js) are shown the same way, marked as imported.
+ */
+
+import { SpanStatusCode, TraceFlags } from '@opentelemetry/api';
+import { hrTimeToMilliseconds } from '@opentelemetry/core';
+
+import { el } from './dom.js';
+
+// Oldest traces are dropped beyond this many
+const MAX_TRACES = 100;
+const RENDER_DELAY_MS = 250;
+
+const traces = new Map();
+const listeners = new Set();
+
+// Which panels the user opened, so re-renders caused by new spans keep them open
+const expandedTraces = new Set();
+const collapsedSpans = new Set();
+const selectedSpans = new Set();
+
+// Instrumentation scope → the span type used for filtering
+const spanTypes = {
+  '@opentelemetry/instrumentation-fetch': 'fetch',
+  '@opentelemetry/instrumentation-xml-http-request': 'xhr',
+  '@opentelemetry/instrumentation-user-interaction': 'interaction',
+  '@opentelemetry/instrumentation-document-load': 'document-load',
+  'web-vitals': 'web-vitals',
+  'error-tracking': 'error',
+  'navigation': 'navigation',
+  'weather-view': 'interaction',
+  'interaction-tracking': 'interaction',
+};
+
+export const spanTypeOf = (scopeName) => spanTypes[scopeName] || 'manual';
+
+const toSpanRecord = (span) => {
+  const scope = span.instrumentationScope || span.instrumentationLibrary || {};
+  const startTime = hrTimeToMilliseconds(span.startTime);
+  const endTime = hrTimeToMilliseconds(span.endTime);
+
+  return {
+    traceId: span.spanContext().traceId,
+    spanId: span.spanContext().spanId,
+    parentSpanId: span.parentSpanId,
+    name: span.name,
+    type: spanTypeOf(scope.name),
+    startTime,
+    endTime,
+    duration: endTime - startTime,
+    attributes: { ...span.attributes },
+    events: span.events.map((event) => ({
+      name: event.name,
+      time: hrTimeToMilliseconds(event.time),
+      attributes: { ...event.attributes },
+    })),
+    isError: span.status.code === SpanStatusCode.ERROR ||
+      span.attributes.error === true ||
+      span.events.some((event) => event.name === 'exception'),
+    sampled: (span.spanContext().traceFlags & TraceFlags.SAMPLED) !== 0,
+  };
+};
+
+export const onTracesChanged = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = () => listeners.forEach((listener) => listener(traces));
+
+export const clearTraces = () => {
+  traces.clear();
+  expandedTraces.clear();
+  collapsedSpans.clear();
+  selectedSpans.clear();
+  notify();
+};
+
+// Forget the panels opened in an evicted trace, so they don't accumulate for the life of the page
+const evictTrace = (traceId) => {
+  for (const span of traces.get(traceId)) {
+    collapsedSpans.delete(span.spanId);
+    selectedSpans.delete(span.spanId);
+  }
+  expandedTraces.delete(traceId);
+  traces.delete(traceId);
+};
+
+const addRecord = (record) => {
+  const spans = traces.get(record.traceId) || [];
+  spans.push(record);
+  // Re-insert so the most recently active trace sorts last
+  traces.delete(record.traceId);
+  traces.set(record.traceId, spans);
+
+  if (traces.size > MAX_TRACES) {
+    evictTrace(traces.keys().next().value);
+  }
+};
+
+// Span records read from an exported file, shown alongside live traces; spans already shown are skipped
+export const importTraces = (records) => {
+  for (const record of records) {
+    if (!traces.get(record.traceId)?.some((span) => span.spanId === record.spanId)) {
+      addRecord({ ...record, imported: true });
+    }
+  }
+  notify();
+};
+
+export class TraceViewerSpanProcessor {
+  onStart() {}
+
+  onEnd(span) {
+    addRecord(toSpanRecord(span));
+    notify();
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms.toFixed(1)}ms`);
+
+// Children under their parents; spans whose parent isn't in the store become roots
+const buildTree = (spans) => {
+  const byId = new Map(spans.map((span) => [span.spanId, { span, children: [] }]));
+  const roots = [];
+
+  for (const node of byId.values()) {
+    const parent = byId.get(node.span.parentSpanId);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const sortByStart = (nodes) => {
+    nodes.sort((a, b) => a.span.startTime - b.span.startTime);
+    nodes.forEach((node) => sortByStart(node.children));
+  };
+  sortByStart(roots);
+
+  return roots;
+};
+
+const renderKeyValues = (title, values) => {
+  const section = el('div', 'span-detail-section');
+  section.appendChild(el('div', 'span-detail-title', title));
+  for (const [key, value] of Object.entries(values)) {
+    const row = el('div', 'log-detail');
+    row.appendChild(el('span', null, `${key}:`));
+    row.appendChild(document.createTextNode(` ${value}`));
+    section.appendChild(row);
+  }
+  return section;
+};
+
+const renderSpanDetails = (span) => {
+  const details = el('div', 'span-details');
+  details.appendChild(renderKeyValues('Span', {
+    'Span ID': span.spanId,
+    'Type': span.type,
+    'Duration': formatDuration(span.duration),
+    'Exported': span.imported ? 'imported from file' : span.sampled ? 'yes' : 'no (not sampled)',
+  }));
+
+  if (Object.keys(span.attributes).length > 0) {
+    details.appendChild(renderKeyValues('Attributes', span.attributes));
+  }
+
+  for (const event of span.events) {
+    const title = event.name === 'exception' ? 'Exception' : `Event: ${event.name}`;
+    details.appendChild(renderKeyValues(title, {
+      '+': formatDuration(event.time - span.startTime),
+      ...event.attributes,
+    }));
+  }
+
+  return details;
+};
+
+const renderSpanNode = (node, traceStart, traceDuration, depth) => {
+  const { span, children } = node;
+  const container = el('div', 'span-node');
+
+  const row = el('div', `span-row${span.isError ? ' error' : ''}`);
+  row.style.paddingLeft = `${depth * 0.75}rem`;
+
+  const toggle = el('button', 'span-toggle', children.length === 0 ? '' : collapsedSpans.has(span.spanId) ? '▸' : '▾');
+  toggle.dataset.action = 'toggle-children';
+  toggle.dataset.spanId = span.spanId;
+  toggle.disabled = children.length === 0;
+  row.appendChild(toggle);
+
+  const name = el('button', 'span-name', span.name);
+  name.dataset.action = 'toggle-details';
+  name.dataset.spanId = span.spanId;
+  name.title = span.name;
+  row.appendChild(name);
+
+  const timeline = el('div', 'span-timeline');
+  const bar = el('div', `span-bar ${span.type}`);
+  bar.style.left = `${((span.startTime - traceStart) / traceDuration) * 100}%`;
+  bar.style.width = `${Math.max((span.duration / traceDuration) * 100, 0.5)}%`;
+  timeline.appendChild(bar);
+  row.appendChild(timeline);
+
+  row.appendChild(el('span', 'span-duration', formatDuration(span.duration)));
+  container.appendChild(row);
+
+  if (selectedSpans.has(span.spanId)) {
+    container.appendChild(renderSpanDetails(span));
+  }
+
+  if (!collapsedSpans.has(span.spanId)) {
+    for (const child of children) {
+      container.appendChild(renderSpanNode(child, traceStart, traceDuration, depth + 1));
+    }
+  }
+
+  return container;
+};
+
+const renderTrace = (traceId, spans) => {
+  const roots = buildTree(spans);
+  const traceStart = Math.min(...spans.map((span) => span.startTime));
+  const traceEnd = Math.max(...spans.map((span) => span.endTime));
+  const traceDuration = Math.max(traceEnd - traceStart, 1);
+  const hasError = spans.some((span) => span.isError);
+
+  const traceElement = el('div', `trace${hasError ? ' error' : ''}`);
+
+  const header = el('button', 'trace-header');
+  header.dataset.action = 'toggle-trace';
+  header.dataset.traceId = traceId;
+  header.appendChild(el('span', 'trace-caret', expandedTraces.has(traceId) ? '▾' : '▸'));
+  header.appendChild(el('span', 'trace-name', roots[0]?.span.name || traceId));
+  header.appendChild(el('span', 'trace-meta', `${spans.length} spans · ${formatDuration(traceDuration)}`));
+  if (hasError) {
+    header.appendChild(el('span', 'log-type error', 'error'));
+  }
+  if (spans.some((span) => span.imported)) {
+    header.appendChild(el('span', 'log-type imported', 'imported'));
+  }
+  traceElement.appendChild(header);
+
+  if (expandedTraces.has(traceId)) {
+    const body = el('div', 'trace-body');
+    body.appendChild(el('div', 'log-trace-id', traceId));
+    for (const root of roots) {
+      body.appendChild(renderSpanNode(root, traceStart, traceDuration, 0));
+    }
+    traceElement.appendChild(body);
+  }
+
+  return traceElement;
+};
+
+const matchesFilters = (spans, filters) => spans.some((span) =>
+  (!filters.name || span.name.toLowerCase().includes(filters.name)) &&
+  (!filters.type || span.type === filters.type) &&
+  (!filters.errorsOnly || span.isError)
+);
+
+export const initTraceViewer = () => {
+  const viewer = document.querySelector('#traceViewer');
+  const traceList = document.querySelector('#traceList');
+  const nameFilter = document.querySelector('#traceFilterName');
+  const typeFilter = document.querySelector('#traceFilterType');
+  const errorsFilter = document.querySelector('#traceFilterErrors');
+  const logOutput = document.querySelector('#logOutput');
+  let renderTimer = null;
+  let renderedTypes = '';
+
+  const render = () => {
+    renderTimer = null;
+    if (viewer.hidden) {
+      return;
+    }
+
+    // Offer only the types present, keeping the current selection
+    const types = [...new Set([...traces.values()].flat().map((span) => span.type))].sort();
+    if (types.join() !== renderedTypes) {
+      const selectedType = typeFilter.value;
+      typeFilter.replaceChildren(new Option('All types', ''), ...types.map((type) => new Option(type, type)));
+      typeFilter.value = types.includes(selectedType) ? selectedType : '';
+      renderedTypes = types.join();
+    }
+
+    const filters = {
+      name: nameFilter.value.trim().toLowerCase(),
+      type: typeFilter.value,
+      errorsOnly: errorsFilter.checked,
+    };
+
+    const visible = [...traces.entries()].reverse().filter(([, spans]) => matchesFilters(spans, filters));
+    if (visible.length === 0) {
+      traceList.replaceChildren(el('div', 'log-detail', 'No traces yet. Interact with the buttons to record some.'));
+      return;
+    }
+    traceList.replaceChildren(...visible.map(([traceId, spans]) => renderTrace(traceId, spans)));
+  };
+
+  const scheduleRender = () => {
+    if (!renderTimer) {
+      renderTimer = setTimeout(render, RENDER_DELAY_MS);
+    }
+  };
+
+  onTracesChanged(scheduleRender);
+  nameFilter.addEventListener('input', render);
+  typeFilter.addEventListener('change', render);
+  errorsFilter.addEventListener('change', render);
+
+  traceList.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action]');
+    if (!target) {
+      return;
+    }
+    const toggles = {
+      'toggle-trace': [expandedTraces, target.dataset.traceId],
+      'toggle-children': [collapsedSpans, target.dataset.spanId],
+      'toggle-details': [selectedSpans, target.dataset.spanId],
+    };
+    const [set, id] = toggles[target.dataset.action];
+    if (set.has(id)) {
+      set.delete(id);
+    } else {
+      set.add(id);
+    }
+    render();
+  });
+
+  // Switch the panel between the flat log and the trace waterfall
+  const showTab = (tab) => {
+    const showTraces = tab === 'traces';
+    viewer.hidden = !showTraces;
+    logOutput.hidden = showTraces;
+    document.querySelector('#showLogs').classList.toggle('active', !showTraces);
+    document.querySelector('#showTraces').classList.toggle('active', showTraces);
+    render();
+  };
+  document.querySelector('#showLogs').addEventListener('click', () => showTab('logs'));
+  document.querySelector('#showTraces').addEventListener('click', () => showTab('traces'));
+
+  document.querySelector('#clearLogs').addEventListener('click', clearTraces);
+};
@@ -0,0 +1,101 @@
+/**
+ * URL-to-Span-Name Rules
+ *
+ * A registry that maps request URLs to low-cardinality span names. Each rule
+ * matches a host and a path template, and automaticSpanMethod uses the first
+ * match to name the fetch span, set `http.route`, record path params as
+ * attributes and optionally extract attributes from the JSON response body.
+ *
+ * Register your own APIs from anywhere before requests are made:
+ *
+ *   registerUrlRule({
+ *     host: 'api.example.com',          // exact host, '*.example.com', or a RegExp
+ *     path: '/orders/:orderId/items',   // ':param', optional ':param?', trailing '*'
+ *     name: 'orders-api',               // string, or (params, url) => string
+ *     attributePrefix: 'order.',        // params become 'order.orderId' (default 'url.param.')
+ *     extract: (body) => ({ 'order.items': body.items.length }),
+ *   });
+ */
+
+const rules = [];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compileHost = (host) => {
+  if (host instanceof RegExp) {
+    return host;
+  }
+  return new RegExp(`^${host.split('*').map(escapeRegExp).join('[^.]+')}$`, 'i');
+};
+
+// '/posts/:id?' → /^\/posts(?:\/([^/]+))?\/?$/ with paramNames ['id']; also used for SPA route templates
+export const compilePathTemplate = (template) => {
+  const paramNames = [];
+  const pattern = template
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => {
+      if (segment === '*') {
+        return '(?:/.*)?';
+      }
+      const param = segment.match(/^:(\w+)(\?)?$/);
+      if (param) {
+        paramNames.push(param[1]);
+        return param[2] ? '(?:/([^/]+))?' : '/([^/]+)';
+      }
+      return `/${escapeRegExp(segment)}`;
+    })
+    .join('');
+
+  return { regex: new RegExp(`^${pattern}/?$`), paramNames };
+};
+
+export const registerUrlRule = ({ host, path = '*', name, attributePrefix = 'url.param.', extract }) => {
+  if (!host || !name) {
+    throw new Error('registerUrlRule requires a host and a name');
+  }
+
+  rules.push({
+    host: compileHost(host),
+    path: compilePathTemplate(path),
+    route: path,
+    name,
+    attributePrefix,
+    extract,
+  });
+};
+
+// First registered rule that matches the URL, with its span name, route and param attributes
+export const matchUrlRule = (url) => {
+  const parsedUrl = url instanceof URL ? url : new URL(url);
+
+  for (const rule of rules) {
+    if (!rule.host.test(parsedUrl.host)) {
+      continue;
+    }
+
+    const match = parsedUrl.pathname.match(rule.path.regex);
+    if (!match) {
+      continue;
+    }
+
+    const params = {};
+    const attributes = {};
+    rule.path.paramNames.forEach((paramName, i) => {
+      if (match[i + 1] !== undefined) {
+        params[paramName] = decodeURIComponent(match[i + 1]);
+        attributes[`${rule.attributePrefix}${paramName}`] = params[paramName];
+      }
+    });
+
+    return {
+      name: typeof rule.name === 'function' ? rule.name(params, parsedUrl) : rule.name,
+      route: rule.route,
+      params,
+      attributes,
+      extract: rule.extract,
+    };
+  }
+
+  return null;
+};
@@ -2,103 +2,118 @@
  * UI Utility Functions
  *
  * Logging utilities for displaying telemetry data and general messages
- * in the browser's telemetry log panel.
+ * in the browser's telemetry log panel. Every call is also emitted as an
+ * OTLP log record so it outlives the tab. Entries are built with DOM
+ * construction, so span names, messages and details are always shown as text.
  */
 
+import { el } from './dom.js';
+import { emitLogRecord } from './logs.js';
+
+// Log level colors for log(); anything else is shown as info
+const LOG_COLORS = {
+  info: '#4fc3f7',
+  error: '#f44336',
+  success: '#4caf50',
+  warning: '#ff9800',
+};
+
+// "Key: value" row; both are inserted as text
+const renderDetail = (label, value) => {
+  const row = el('div', 'log-detail');
+  row.appendChild(el('span', null, `${label}:`));
+  row.appendChild(document.createTextNode(` ${value}`));
+  return row;
+};
+
+const renderDetails = (details) => Object.entries(details).map(([key, value]) => renderDetail(key, value));
+
+const insertLogEntry = (logEntry) => {
+  const logOutput = document.querySelector('#logOutput');
+
+  // Insert at the top
+  logOutput.insertBefore(logEntry, logOutput.firstChild);
+
+  // Auto-scroll to top
+  logOutput.scrollTop = 0;
+};
+
 // Log telemetry spans to UI with full trace context
 export const logToUI = (spanName, spanContext, type = 'manual', details = {}) => {
-  const logOutput = document.querySelector('#logOutput');
   const timestamp = new Date().toISOString();
   const traceId = spanContext?.traceId || 'N/A';
   const spanId = spanContext?.spanId || 'N/A';
 
-  const logEntry = document.createElement('div');
-  logEntry.className = `log-entry ${type}`;
+  // className is never parsed as HTML, so the type is safe here as well
+  const logEntry = el('div', `log-entry ${type}`);
+  const typeBadge = el('span', `log-type ${type}`, type);
 
-  let detailsHTML = '';
-  for (const [key, value] of Object.entries(details)) {
-    detailsHTML += `<div class="log-detail"><span>${key}:</span> ${value}</div>`;
-  }
+  const traceRow = renderDetail('Trace ID', '');
+  traceRow.appendChild(el('span', 'log-trace-id', traceId));
+  const spanRow = renderDetail('Span ID', '');
+  spanRow.appendChild(el('span', 'log-span-id', spanId));
 
-  logEntry.innerHTML = `
-    <div class="log-time">${timestamp}</div>
-    <span class="log-type ${type}">${type}</span>
-    <div class="log-detail"><span>Span:</span> ${spanName}</div>
-    <div class="log-detail"><span>Trace ID:</span> <span class="log-trace-id">${traceId}</span></div>
-    <div class="log-detail"><span>Span ID:</span> <span class="log-span-id">${spanId}</span></div>
-    ${detailsHTML}
-  `;
+  logEntry.append(
+    el('div', 'log-time', timestamp),
+    typeBadge,
+    renderDetail('Span', spanName),
+    traceRow,
+    spanRow,
+    ...renderDetails(details),
+  );
 
-  // Insert at the top
-  logOutput.insertBefore(logEntry, logOutput.firstChild);
+  insertLogEntry(logEntry);
 
-  // Auto-scroll to top
-  logOutput.scrollTop = 0;
+  emitLogRecord(spanName, type, details, spanContext);
 };
 
 // Simple log function for general messages
 export const log = (message, type = 'info', details = {}) => {
-  const logOutput = document.querySelector('#logOutput');
   const timestamp = new Date().toISOString();
 
-  const logEntry = document.createElement('div');
-  logEntry.className = `log-entry`;
-
   // Set color based on type
-  let borderColor = '#4fc3f7'; // info
-  let bgColor = '#4fc3f7';
-  if (type === 'error') {
-    borderColor = '#f44336';
-    bgColor = '#f44336';
-  } else if (type === 'success') {
-    borderColor = '#4caf50';
-    bgColor = '#4caf50';
-  } else if (type === 'warning') {
-    borderColor = '#ff9800';
-    bgColor = '#ff9800';
-  }
-
-  let detailsHTML = '';
-  for (const [key, value] of Object.entries(details)) {
-    detailsHTML += `<div class="log-detail"><span>${key}:</span> ${value}</div>`;
-  }
-
-  logEntry.innerHTML = `
-    <div class="log-time">${timestamp}</div>
-    <span class="log-type" style="background: ${bgColor};">${type.toUpperCase()}</span>
-    <div class="log-detail">${message}</div>
-    ${detailsHTML}
-  `;
-  logEntry.style.borderLeftColor = borderColor;
+  const color = LOG_COLORS[type] || LOG_COLORS.info;
 
-  // Insert at the top
-  logOutput.insertBefore(logEntry, logOutput.firstChild);
+  const logEntry = el('div', 'log-entry');
+  logEntry.style.borderLeftColor = color;
+
+  const typeBadge = el('span', 'log-type', String(type).toUpperCase());
+  typeBadge.style.background = color;
+
+  logEntry.append(
+    el('div', 'log-time', timestamp),
+    typeBadge,
+    el('div', 'log-detail', message),
+    ...renderDetails(details),
+  );
+
+  insertLogEntry(logEntry);
 
   // Also log to console for debugging
-  console.log(`[${type.toUpperCase()}]`, message, details);
+  console.log(`[${String(type).toUpperCase()}]`, message, details);
 
-  // Auto-scroll to top
-  logOutput.scrollTop = 0;
+  emitLogRecord(message, type, details);
 };
 
-// Initialize telemetry log panel
+// Initialize telemetry log panel; app.js is a module script, so the DOM is already parsed when this runs
 export const initLogPanel = () => {
-  document.addEventListener('DOMContentLoaded', () => {
-    const logOutput = document.querySelector('#logOutput');
-
-    // Add initial message
-    logOutput.innerHTML = `
-      <div class="log-entry" style="border-left-color: #4fc3f7;">
-        <div class="log-time">${new Date().toISOString()}</div>
-        <span class="log-type" style="background: #4fc3f7;">READY</span>
-        <div class="log-detail"><span>Status:</span> Telemetry logging initialized</div>
-        <div class="log-detail"><span>Info:</span> Interact with the buttons above to see trace data appear here</div>
-      </div>
-    `;
-
-    // Clear logs button
-    document.querySelector('#clearLogs')?.addEventListener('click', () => {
-      logOutput.innerHTML = '';
-    });
+  const logOutput = document.querySelector('#logOutput');
+
+  // Add initial message
+  const readyEntry = el('div', 'log-entry');
+  readyEntry.style.borderLeftColor = LOG_COLORS.info;
+  const readyBadge = el('span', 'log-type', 'READY');
+  readyBadge.style.background = LOG_COLORS.info;
+  readyEntry.append(
+    el('div', 'log-time', new Date().toISOString()),
+    readyBadge,
+    renderDetail('Status', 'Telemetry logging initialized'),
+    renderDetail('Info', 'Interact with the buttons above to see trace data appear here'),
+  );
+  logOutput.replaceChildren(readyEntry);
+
+  // Clear logs button
+  document.querySelector('#clearLogs')?.addEventListener('click', () => {
+    logOutput.replaceChildren();
   });
 };
@@ -0,0 +1,340 @@
+/**
+ * Weather Lookup
+ *
+ * getWeather() serves a city's weather from the fastest tier that has it:
+ * the browser cache (memory and IndexedDB, with stale-while-revalidate), then
+ * the backend's /api/weather proxy, which checks its own cache before calling
+ * the weather API. The `getWeather` span records the tier as `cache.tier`.
+ *
+ * Backend calls time out and retry (see httpClient.js). After repeated cache
+ * failures a circuit breaker has the backend skip its cache for a while.
+ *
+ * getWeatherBatch() compares several cities: one `getWeatherBatch` span with a
+ * `getWeather` child per city, fetched a few at a time.
+ */
+
+import { context, trace } from '@opentelemetry/api';
+
+import { BrowserCache } from './browserCache.js';
+import { CircuitBreaker, resilientFetch } from './httpClient.js';
+import { getMeter } from './metrics.js';
+import { log, logToUI } from './utility.js';
+import { renderWeather, renderWeatherComparison } from './weatherView.js';
+
+const tracer = trace.getTracer('vanilla-frontend');
+const meter = getMeter('vanilla-frontend');
+
+// Backend URL for the weather API proxy (served through nginx)
+const backendUrl = process.env.BACKEND_URL || 'http://localhost:8000';
+
+// Browser cache tier in front of the backend cache: fresh for 10 minutes, then served stale for up to an hour while revalidating
+const browserCache = new BrowserCache({
+  name: 'weather-cache',
+  ttlMillis: 10 * 60 * 1000,
+  staleWhileRevalidateMillis: 60 * 60 * 1000,
+});
+
+// Metric instruments (hit ratio = cache.lookups{cache.result=hit} / cache.lookups)
+const cacheLookups = meter.createCounter('cache.lookups', {
+  description: 'Cache lookups by backend (browser, fastapi) and result (hit, stale, miss, skipped, error)',
+});
+const weatherFetchDuration = meter.createHistogram('weather.fetch.duration', {
+  description: 'End-to-end duration of getWeather, including cache check',
+  unit: 'ms',
+});
+
+// Cities looked up at once in a comparison, and the most a comparison accepts
+const BATCH_CONCURRENCY = 3;
+export const MAX_BATCH_CITIES = 10;
+
+// Opens after repeated cache errors the backend reports; while open, the backend is asked to skip
+// its cache and go straight to the weather API
+const cacheBreaker = new CircuitBreaker({
+  name: 'weather-backend-cache',
+  failureThreshold: 3,
+  resetTimeoutMillis: 30 * 1000,
+});
+
+// The backend checks its cache, falls back to the weather API and caches the result, all in one traced request
+const fetchWeather = async (cityKey) => {
+  const span = trace.getSpan(context.active());
+  const useCache = cacheBreaker.allowRequest();
+  span.setAttribute('circuit_breaker.state', cacheBreaker.state);
+  span.setAttribute('cache.backend.skipped', !useCache);
+
+  let response;
+  let body;
+  try {
+    // A timed-out request may still be fetching from the origin (the backend waits up to 10s), so it isn't retried
+    response = await resilientFetch(`${backendUrl}/api/weather?city=${encodeURIComponent(cityKey)}${useCache ? '' : '&cache=skip'}`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      },
+      timeoutMillis: 4000,
+      retries: 2,
+      retryTimeouts: false,
+    });
+    body = await response.json().catch(() => ({}));
+
+    // Only a cache error counts against the cache; other failures (timeouts, an unreachable
+    // weather API) say nothing about it. A 4xx still means the cache was checked without error
+    if (useCache) {
+      if (body.cache_error) {
+        cacheBreaker.recordFailure();
+      } else if (response.status < 500) {
+        cacheBreaker.recordSuccess();
+      }
+    }
+  } catch (e) {
+    cacheLookups.add(1, { 'cache.result': 'error', 'cache.backend': 'fastapi' });
+    throw e;
+  } finally {
+    // Frees a half-open trial slot whatever the outcome
+    if (useCache) {
+      cacheBreaker.release();
+    }
+  }
+
+  if (!response.ok) {
+    cacheLookups.add(1, { 'cache.result': 'error', 'cache.backend': 'fastapi' });
+    throw new Error(body.detail || `Weather backend responded with ${response.status}`);
+  }
+
+  if (body.source === 'cache') {
+    span.setAttribute('cache.age_seconds', body.age_seconds);
+    cacheLookups.add(1, { 'cache.result': 'hit', 'cache.backend': 'fastapi' });
+    log(`Cache hit for ${cityKey}`, 'success', { 'Age': `${body.age_seconds}s` });
+    return { data: body.data, tier: 'backend' };
+  }
+
+  span.setAttribute('cache.miss_reason', body.cache_miss_reason || 'unknown');
+  cacheLookups.add(1, { 'cache.result': useCache ? 'miss' : 'skipped', 'cache.backend': 'fastapi' });
+  logToUI('Weather API Fetch', span.spanContext(), 'fetch', {
+    'City': cityKey,
+    'Cache': useCache ? 'Miss' : 'Skipped (circuit open)',
+    'Reason': body.cache_miss_reason || 'unknown',
+    'Cached': body.cached ? 'Yes' : 'No'
+  });
+  return { data: body.data, tier: 'origin' };
+};
+
+// One backend/origin load per city at a time; concurrent callers share its result
+const loadWeather = (cityKey) => browserCache.load(cityKey, async () => {
+  const result = await fetchWeather(cityKey);
+  await browserCache.write(cityKey, result.data);
+  return result;
+});
+
+const checkBrowserCache = async (cityKey) => {
+  const span = tracer.startSpan('cache.check.browser');
+  span.setAttribute('cache.operation', 'read');
+  span.setAttribute('cache.key', cityKey);
+  span.setAttribute('cache.backend', 'browser');
+
+  const entry = await browserCache.read(cityKey);
+  span.setAttribute('cache.hit', !!entry);
+
+  if (entry) {
+    span.setAttribute('cache.layer', entry.layer);
+    span.setAttribute('cache.state', entry.state);
+    span.setAttribute('cache.age_seconds', entry.ageSeconds);
+    cacheLookups.add(1, { 'cache.result': entry.state === 'fresh' ? 'hit' : 'stale', 'cache.backend': 'browser' });
+  } else {
+    cacheLookups.add(1, { 'cache.result': 'miss', 'cache.backend': 'browser' });
+  }
+
+  span.end();
+  return entry;
+};
+
+// Refresh a stale browser cache entry after it has been rendered
+const revalidateWeather = (cityKey, render) => {
+  const span = tracer.startSpan('cache.revalidate.browser');
+
+  return context.with(trace.setSpan(context.active(), span), async () => {
+    span.setAttribute('cache.key', cityKey);
+
+    try {
+      const { result, coalesced } = await loadWeather(cityKey);
+      span.setAttribute('cache.tier', result.tier);
+      span.setAttribute('cache.coalesced', coalesced);
+      render(result.data);
+      log(`Revalidated cached weather for ${cityKey}`, 'success', { 'Source': result.tier });
+    } catch (e) {
+      span.recordException(e);
+      span.setAttribute('error', true);
+      log('Weather revalidation failed', 'error', { 'Error': e.message, 'City': cityKey });
+    } finally {
+      span.end();
+    }
+  });
+};
+
+// One city's lookup in a `getWeather` span. render() receives the data, and again if a stale
+// entry is refreshed later; errors are recorded on the span and rethrown
+const lookupWeather = async (cityKey, render) => {
+  const parentSpan = tracer.startSpan('getWeather');
+  const startTime = performance.now();
+
+  return await context.with(trace.setSpan(context.active(), parentSpan), async () => {
+    parentSpan.setAttribute('weather.city', cityKey);
+    parentSpan.setAttribute('weather.has_cache', true);
+
+    try {
+      let weatherData;
+      let tier;
+
+      // Step 1: Serve from the browser cache; stale entries are refreshed in the background
+      const cached = await checkBrowserCache(cityKey);
+      if (cached) {
+        weatherData = cached.value;
+        tier = 'browser';
+        parentSpan.setAttribute('cache.state', cached.state);
+
+        logToUI('Weather Cache Hit', parentSpan.spanContext(), 'fetch', {
+          'City': cityKey,
+          'Source': `Browser Cache (${cached.layer})`,
+          'State': cached.state,
+          'API Call': cached.state === 'stale' ? 'Revalidating' : 'Skipped'
+        });
+
+        if (cached.state === 'stale') {
+          revalidateWeather(cityKey, render);
+        }
+      } else {
+        // Step 2: Backend cache, then the weather API
+        const { result, coalesced } = await loadWeather(cityKey);
+        weatherData = result.data;
+        tier = result.tier;
+        parentSpan.setAttribute('cache.coalesced', coalesced);
+
+        if (tier === 'backend') {
+          logToUI('Weather Cache Hit', parentSpan.spanContext(), 'fetch', {
+            'City': cityKey,
+            'Source': 'Backend Cache',
+            'API Call': 'Skipped'
+          });
+        }
+      }
+
+      parentSpan.setAttribute('cache.tier', tier);
+      parentSpan.setAttribute('cache.hit', tier !== 'origin');
+      parentSpan.setAttribute('weather.api_called', tier === 'origin');
+      parentSpan.setAttribute('weather.source', tier === 'origin' ? 'api' : 'cache');
+
+      // Render the weather data
+      render(weatherData);
+
+      weatherFetchDuration.record(performance.now() - startTime, {
+        'weather.source': tier === 'origin' ? 'api' : 'cache',
+        'cache.tier': tier,
+        'error': false,
+      });
+      parentSpan.end();
+      return weatherData;
+    } catch (e) {
+      parentSpan.recordException(e);
+      parentSpan.setAttribute('error', true);
+      parentSpan.end();
+      weatherFetchDuration.record(performance.now() - startTime, { 'error': true });
+      throw e;
+    }
+  });
+};
+
+const normalizeCity = (city) => city.trim().toLowerCase();
+
+// 'Seattle, portland; SEATTLE' → ['seattle', 'portland']
+export const parseCityList = (input) => [...new Set(
+  String(input || '').split(/[,;]/).map(normalizeCity).filter(Boolean)
+)].slice(0, MAX_BATCH_CITIES);
+
+export const getWeather = async (input) => {
+  const cityKey = normalizeCity(input || '98366');
+
+  try {
+    return await lookupWeather(cityKey, renderWeather);
+  } catch (e) {
+    log('Error fetching weather data', 'error', { 'Error': e.message });
+  }
+};
+
+// Calls fn for each item with at most `limit` in flight; resolves to settled outcomes in input order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const outcomes = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        outcomes[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        outcomes[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return outcomes;
+};
+
+// Looks up several cities under one `getWeatherBatch` span and renders them side by side.
+// A failed city is shown in its row and doesn't abort the others
+export const getWeatherBatch = async (cities) => {
+  const cityKeys = [...new Set(cities.map(normalizeCity).filter(Boolean))];
+  const batchSpan = tracer.startSpan('getWeatherBatch', {
+    attributes: {
+      'weather.batch.size': cityKeys.length,
+      'weather.batch.concurrency': BATCH_CONCURRENCY,
+      'weather.batch.cities': cityKeys,
+    },
+  });
+
+  return await context.with(trace.setSpan(context.active(), batchSpan), async () => {
+    try {
+      const results = cityKeys.map((city) => ({ city, status: 'pending' }));
+      renderWeatherComparison(results);
+
+      const outcomes = await mapWithConcurrency(cityKeys, BATCH_CONCURRENCY, (city, index) =>
+        lookupWeather(city, (data) => {
+          results[index] = { city, status: 'ok', data };
+          renderWeatherComparison(results);
+        })
+      );
+
+      outcomes.forEach((outcome, index) => {
+        if (outcome.status === 'rejected') {
+          results[index] = { city: cityKeys[index], status: 'error', error: outcome.reason.message };
+        }
+      });
+      renderWeatherComparison(results);
+
+      const failed = results.filter((result) => result.status === 'error');
+      batchSpan.setAttribute('weather.batch.succeeded', results.length - failed.length);
+      batchSpan.setAttribute('weather.batch.failed', failed.length);
+      if (failed.length > 0) {
+        batchSpan.setAttribute('weather.batch.failed_cities', failed.map((result) => result.city));
+      }
+      if (failed.length === results.length) {
+        batchSpan.setAttribute('error', true);
+      }
+
+      logToUI('Weather Comparison', batchSpan.spanContext(), 'fetch', {
+        'Cities': cityKeys.join(', '),
+        'Succeeded': results.length - failed.length,
+        'Failed': failed.length,
+      });
+
+      return results;
+    } catch (e) {
+      // A failed render or log shouldn't leave the batch span open
+      batchSpan.recordException(e);
+      batchSpan.setAttribute('error', true);
+      throw e;
+    } finally {
+      batchSpan.end();
+    }
+  });
+};
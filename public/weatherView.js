@@ -0,0 +1,279 @@
+/**
+ * Weather Component
+ *
+ * Renders the weather card: current conditions with an icon, feels-like,
+ * wind, humidity and air quality, plus a collapsible multi-day forecast.
+ * The °F/°C choice is persisted per user (see session.js) and re-renders the
+ * last response without another request.
+ *
+ * Several cities render as a comparison grid instead, one row per city.
+ *
+ * Expanding or collapsing a panel records a `weather.panel.toggle` span and
+ * increments the `weather.panel.toggles` counter, so we can see which panels
+ * people actually open.
+ */
+
+import { trace } from '@opentelemetry/api';
+
+import { el, safeUrl } from './dom.js';
+import { getMeter } from './metrics.js';
+import { userStorageKey } from './session.js';
+
+const tracer = trace.getTracer('weather-view');
+const meter = getMeter('weather-view');
+
+const panelToggles = meter.createCounter('weather.panel.toggles', {
+  description: 'Weather panel expansions and collapses by panel',
+});
+
+// US EPA index (1-6) as reported in air_quality['us-epa-index']
+const AQI_LEVELS = {
+  1: 'Good',
+  2: 'Moderate',
+  3: 'Unhealthy for sensitive groups',
+  4: 'Unhealthy',
+  5: 'Very unhealthy',
+  6: 'Hazardous',
+};
+
+const UNITS = {
+  f: { temp: 'f', speed: 'mph', label: '°F' },
+  c: { temp: 'c', speed: 'kph', label: '°C' },
+};
+
+// Redraws whatever was rendered last (card or comparison) after a unit change
+let rerender = null;
+let lastData = null;
+const openPanels = new Set();
+
+const unitStorageKey = () => userStorageKey('weather.unit');
+
+export const getUnit = () => {
+  try {
+    const unit = localStorage.getItem(unitStorageKey());
+    return UNITS[unit] ? unit : 'f';
+  } catch (e) {
+    return 'f';
+  }
+};
+
+export const setUnit = (unit) => {
+  if (!UNITS[unit]) {
+    throw new Error(`Unknown weather unit: ${unit}`);
+  }
+  try {
+    localStorage.setItem(unitStorageKey(), unit);
+  } catch (e) {
+    // Storage can be unavailable (private mode, quota); the choice lasts for this page only
+  }
+  rerender?.();
+};
+
+const formatTemp = (conditions, key, unit) => `${Math.round(conditions[`${key}_${UNITS[unit].temp}`])}${UNITS[unit].label}`;
+
+// weatherapi.com returns protocol-relative icon URLs ('//cdn.weatherapi.com/...')
+const renderIcon = (condition) => {
+  const icon = el('img', 'weather-icon');
+  const src = safeUrl(condition.icon);
+  if (src) {
+    icon.src = src;
+  }
+  icon.alt = condition.text;
+  return icon;
+};
+
+const renderStat = (label, value) => {
+  const stat = el('div', 'weather-stat');
+  stat.appendChild(el('span', 'weather-stat-label', label));
+  stat.appendChild(el('span', 'weather-stat-value', value));
+  return stat;
+};
+
+const renderPanel = (name, title, content) => {
+  const panel = el('details', 'weather-panel');
+  panel.dataset.panel = name;
+  panel.open = openPanels.has(name);
+
+  // The toggle span below replaces the generic click span
+  const summary = el('summary', null, title);
+  summary.dataset.otelIgnore = '';
+  panel.appendChild(summary);
+  panel.appendChild(content);
+  return panel;
+};
+
+const renderUnitToggle = (unit) => {
+  const toggle = el('div', 'weather-units');
+  for (const key of Object.keys(UNITS)) {
+    const button = el('button', `weather-unit${key === unit ? ' active' : ''}`, UNITS[key].label);
+    button.dataset.unit = key;
+    button.dataset.otelName = 'weather-unit-toggle';
+    button.dataset.otelWeatherUnit = key;
+    toggle.appendChild(button);
+  }
+  return toggle;
+};
+
+// The API leaves out pollutants a station doesn't measure; one missing reading shouldn't break the card
+const formatConcentration = (value) => (typeof value === 'number' ? `${value.toFixed(1)} µg/m³` : 'n/a');
+
+const renderAirQuality = (airQuality) => {
+  const content = el('div', 'weather-stats');
+  const index = airQuality['us-epa-index'];
+  content.appendChild(renderStat('US EPA index', `${index ?? 'n/a'} · ${AQI_LEVELS[index] || 'Unknown'}`));
+  content.appendChild(renderStat('PM2.5', formatConcentration(airQuality.pm2_5)));
+  content.appendChild(renderStat('PM10', formatConcentration(airQuality.pm10)));
+  content.appendChild(renderStat('Ozone', formatConcentration(airQuality.o3)));
+  return content;
+};
+
+const renderForecast = (forecastDays, unit) => {
+  const content = el('div', 'weather-forecast');
+  for (const { date, day } of forecastDays) {
+    const row = el('div', 'weather-forecast-day');
+    const weekday = new Date(`${date}T12:00:00`).toLocaleDateString(undefined, { weekday: 'short' });
+    row.appendChild(el('span', 'weather-forecast-date', weekday));
+    row.appendChild(renderIcon(day.condition));
+    row.appendChild(el('span', 'weather-forecast-condition', day.condition.text));
+    row.appendChild(el('span', 'weather-forecast-temps', `${formatTemp(day, 'maxtemp', unit)} / ${formatTemp(day, 'mintemp', unit)}`));
+    row.appendChild(el('span', 'weather-forecast-rain', `${day.daily_chance_of_rain}% rain`));
+    content.appendChild(row);
+  }
+  return content;
+};
+
+export const renderWeather = (data) => {
+  const weatherContainer = document.querySelector('#weather');
+  const unit = getUnit();
+  lastData = data;
+  rerender = () => renderWeather(data);
+
+  const { location, current, forecast } = data;
+  const { name, region, country } = location;
+
+  const header = el('div', 'weather-header');
+  header.appendChild(el('h2', null, `${name}, ${region}, ${country}`));
+  header.appendChild(renderUnitToggle(unit));
+
+  const summary = el('div', 'weather-current');
+  summary.appendChild(renderIcon(current.condition));
+  summary.appendChild(el('span', 'weather-temp', formatTemp(current, 'temp', unit)));
+  summary.appendChild(el('span', 'weather-condition', current.condition.text));
+
+  const stats = el('div', 'weather-stats');
+  stats.appendChild(renderStat('Feels like', formatTemp(current, 'feelslike', unit)));
+  stats.appendChild(renderStat('Wind', `${Math.round(current[`wind_${UNITS[unit].speed}`])} ${UNITS[unit].speed} ${current.wind_dir}`));
+  stats.appendChild(renderStat('Humidity', `${current.humidity}%`));
+
+  const children = [header, summary, stats];
+
+  // Cached responses from before the forecast endpoint was used may lack either section
+  if (current.air_quality) {
+    children.push(renderPanel('air-quality', 'Air quality', renderAirQuality(current.air_quality)));
+  }
+  if (forecast?.forecastday?.length) {
+    children.push(renderPanel('forecast', `${forecast.forecastday.length}-day forecast`, renderForecast(forecast.forecastday, unit)));
+  }
+
+  weatherContainer.replaceChildren(...children);
+  weatherContainer.style.display = 'block';
+
+  return weatherContainer;
+};
+
+const renderComparisonRow = (result, unit) => {
+  const row = el('tr', `weather-compare-row ${result.status}`);
+  row.dataset.city = result.city;
+
+  if (result.status !== 'ok') {
+    row.appendChild(el('th', null, result.city));
+    const message = el('td', 'weather-compare-message', result.status === 'error' ? result.error : 'Loading…');
+    message.colSpan = 5;
+    row.appendChild(message);
+    return row;
+  }
+
+  const { location, current } = result.data;
+  row.appendChild(el('th', null, `${location.name}, ${location.region}`));
+
+  const conditions = el('td', 'weather-compare-condition');
+  conditions.append(renderIcon(current.condition), el('span', null, current.condition.text));
+  row.appendChild(conditions);
+
+  row.appendChild(el('td', null, formatTemp(current, 'temp', unit)));
+  row.appendChild(el('td', null, formatTemp(current, 'feelslike', unit)));
+  row.appendChild(el('td', null, `${Math.round(current[`wind_${UNITS[unit].speed}`])} ${UNITS[unit].speed} ${current.wind_dir}`));
+  row.appendChild(el('td', null, `${current.humidity}%`));
+  return row;
+};
+
+// Comparison grid for getWeatherBatch: one row per city, pending and failed cities show a message in their row
+export const renderWeatherComparison = (results) => {
+  const weatherContainer = document.querySelector('#weather');
+  const unit = getUnit();
+  lastData = null;
+  rerender = () => renderWeatherComparison(results);
+
+  const header = el('div', 'weather-header');
+  header.appendChild(el('h2', null, `Comparing ${results.length} cities`));
+  header.appendChild(renderUnitToggle(unit));
+
+  const headRow = el('tr');
+  for (const label of ['City', 'Conditions', 'Temp', 'Feels like', 'Wind', 'Humidity']) {
+    headRow.appendChild(el('th', null, label));
+  }
+  const head = el('thead');
+  head.appendChild(headRow);
+
+  const body = el('tbody');
+  for (const result of results) {
+    body.appendChild(renderComparisonRow(result, unit));
+  }
+
+  const table = el('table', 'weather-compare');
+  table.append(head, body);
+
+  weatherContainer.replaceChildren(header, table);
+  weatherContainer.style.display = 'block';
+
+  return weatherContainer;
+};
+
+export const initWeatherView = () => {
+  const weatherContainer = document.querySelector('#weather');
+
+  weatherContainer.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-unit]');
+    if (button) {
+      setUnit(button.dataset.unit);
+    }
+  });
+
+  // toggle doesn't bubble, so listen in the capture phase
+  weatherContainer.addEventListener('toggle', (e) => {
+    const panel = e.target;
+    const name = panel.dataset.panel;
+
+    // Re-renders restore open panels, which fires toggle too; only record changes made by the user
+    if (!name || panel.open === openPanels.has(name)) {
+      return;
+    }
+
+    if (panel.open) {
+      openPanels.add(name);
+    } else {
+      openPanels.delete(name);
+    }
+
+    const action = panel.open ? 'expand' : 'collapse';
+    const span = tracer.startSpan('weather.panel.toggle', {
+      attributes: {
+        'weather.panel.name': name,
+        'weather.panel.action': action,
+        'weather.city': lastData?.location?.name,
+      },
+    });
+    span.end();
+    panelToggles.add(1, { 'weather.panel.name': name, 'weather.panel.action': action });
+  }, true);
+};
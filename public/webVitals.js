@@ -0,0 +1,131 @@
+/**
+ * Core Web Vitals and Long Task Instrumentation
+ *
+ * Captures LCP, CLS, INP, FCP and TTFB from real sessions, plus long tasks
+ * (main-thread work over 50ms), as spans under a single page-view span and
+ * as histograms for dashboards and performance budgets.
+ */
+
+import { context, trace } from '@opentelemetry/api';
+
+// Google's web-vitals library handles the browser quirks of each metric
+import { onCLS, onFCP, onINP, onLCP, onTTFB } from 'web-vitals';
+
+import { getMeter } from './metrics.js';
+
+const tracer = trace.getTracer('web-vitals');
+const meter = getMeter('web-vitals');
+
+// Vitals measured from navigation start; their spans are drawn on the page timeline
+const navigationTimedVitals = ['FCP', 'LCP', 'TTFB'];
+
+// Resource attributes describing the device and network the page runs on
+export const getBrowserResourceAttributes = () => {
+  const connection = navigator.connection || {};
+
+  return {
+    'browser.viewport.width': window.innerWidth,
+    'browser.viewport.height': window.innerHeight,
+    'browser.screen.width': window.screen?.width,
+    'browser.screen.height': window.screen?.height,
+    'browser.device_pixel_ratio': window.devicePixelRatio,
+    'browser.language': navigator.language,
+    'network.connection.type': connection.type || 'unknown',
+    'network.connection.effective_type': connection.effectiveType || 'unknown',
+  };
+};
+
+export function initWebVitals() {
+  // Root span for this page view; vitals and long tasks become its children
+  const pageViewSpan = tracer.startSpan('page.view', {
+    startTime: performance.timeOrigin,
+    attributes: {
+      'page.url': window.location.href,
+      'page.path': window.location.pathname,
+      'page.title': document.title,
+      'page.referrer': document.referrer,
+    },
+  });
+  const pageViewContext = trace.setSpan(context.active(), pageViewSpan);
+
+  const vitalHistograms = {
+    CLS: meter.createHistogram('web_vitals.cls', { description: 'Cumulative Layout Shift' }),
+    FCP: meter.createHistogram('web_vitals.fcp', { description: 'First Contentful Paint', unit: 'ms' }),
+    INP: meter.createHistogram('web_vitals.inp', { description: 'Interaction to Next Paint', unit: 'ms' }),
+    LCP: meter.createHistogram('web_vitals.lcp', { description: 'Largest Contentful Paint', unit: 'ms' }),
+    TTFB: meter.createHistogram('web_vitals.ttfb', { description: 'Time to First Byte', unit: 'ms' }),
+  };
+
+  const reportVital = (metric) => {
+    const attributes = {
+      'web_vital.name': metric.name,
+      'web_vital.value': metric.value,
+      'web_vital.delta': metric.delta,
+      'web_vital.rating': metric.rating,
+      'web_vital.id': metric.id,
+      'web_vital.navigation_type': metric.navigationType,
+    };
+
+    // FCP/LCP/TTFB span from navigation start to the moment they were reached
+    const spanTimes = navigationTimedVitals.includes(metric.name)
+      ? { start: performance.timeOrigin, end: performance.timeOrigin + metric.value }
+      : { start: Date.now(), end: Date.now() };
+
+    const span = tracer.startSpan(`web-vital.${metric.name}`, { startTime: spanTimes.start, attributes }, pageViewContext);
+    span.end(spanTimes.end);
+
+    vitalHistograms[metric.name].record(metric.value, {
+      'web_vital.rating': metric.rating,
+      'page.path': window.location.pathname,
+    });
+  };
+
+  onCLS(reportVital);
+  onFCP(reportVital);
+  onINP(reportVital);
+  onLCP(reportVital);
+  onTTFB(reportVital);
+
+  observeLongTasks(pageViewContext);
+
+  // The page view lasts until the page is unloaded or put into the back/forward cache
+  window.addEventListener('pagehide', () => {
+    pageViewSpan.end();
+  }, { once: true });
+
+  return pageViewSpan;
+}
+
+// Record every long task (> 50ms by definition of the Long Tasks API)
+const observeLongTasks = (pageViewContext) => {
+  if (!PerformanceObserver.supportedEntryTypes?.includes('longtask')) {
+    return;
+  }
+
+  const longTaskDuration = meter.createHistogram('browser.longtask.duration', {
+    description: 'Duration of main-thread tasks longer than 50ms',
+    unit: 'ms',
+  });
+
+  const observer = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+      const attribution = entry.attribution?.[0];
+      const startTime = performance.timeOrigin + entry.startTime;
+
+      const span = tracer.startSpan('longtask', {
+        startTime,
+        attributes: {
+          'longtask.duration': entry.duration,
+          'longtask.name': entry.name,
+          'longtask.attribution.container_type': attribution?.containerType || 'unknown',
+          'longtask.attribution.container_src': attribution?.containerSrc || '',
+        },
+      }, pageViewContext);
+      span.end(startTime + entry.duration);
+
+      longTaskDuration.record(entry.duration, { 'page.path': window.location.pathname });
+    }
+  });
+
+  observer.observe({ type: 'longtask', buffered: true });
+};
@@ -0,0 +1,131 @@
+/**
+ * Mock OTLP Collector
+ *
+ * A stand-in for the collector's OTLP/HTTP receiver, to check what the
+ * frontend exports without Docker or Elastic:
+ *
+ *   npm run mock-collector            # listens on http://localhost:4318
+ *   PORT=4319 npm run mock-collector
+ *
+ * Accepts OTLP JSON on /v1/traces, /v1/metrics and /v1/logs, and Zipkin v2
+ * JSON on /api/v2/spans, with CORS for the dev server. Each request is
+ * summarized on the console. GET /received returns every body received so
+ * far; DELETE /received forgets them.
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const OTLP_SIGNALS = {
+  '/v1/traces': 'traces',
+  '/v1/metrics': 'metrics',
+  '/v1/logs': 'logs',
+};
+
+const ZIPKIN_PATH = '/api/v2/spans';
+
+const emptyReceived = () => ({ traces: [], metrics: [], logs: [], zipkin: [] });
+
+// What each body holds, e.g. "3 spans from vanilla-frontend: getWeather, cache.check, GET"
+const summarize = (signal, body) => {
+  if (signal === 'zipkin') {
+    const names = [...new Set(body.map((span) => span.name))];
+    return `${body.length} Zipkin spans: ${names.join(', ')}`;
+  }
+
+  const [resourceKey, scopeKey, itemKey, noun] = {
+    traces: ['resourceSpans', 'scopeSpans', 'spans', 'spans'],
+    metrics: ['resourceMetrics', 'scopeMetrics', 'metrics', 'metrics'],
+    logs: ['resourceLogs', 'scopeLogs', 'logRecords', 'log records'],
+  }[signal];
+
+  return (body[resourceKey] || []).map((resource) => {
+    const service = (resource.resource?.attributes || []).find((attribute) => attribute.key === 'service.name')?.value?.stringValue || 'unknown service';
+    const items = (resource[scopeKey] || []).flatMap((scope) => scope[itemKey] || []);
+    const names = [...new Set(items.map((item) => item.name).filter(Boolean))];
+    return `${items.length} ${noun} from ${service}${names.length ? `: ${names.join(', ')}` : ''}`;
+  }).join('; ');
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  request.on('data', (chunk) => chunks.push(chunk));
+  request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  request.on('error', reject);
+});
+
+export const createMockCollector = ({ log = console.log } = {}) => {
+  let received = emptyReceived();
+
+  const server = createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const signal = OTLP_SIGNALS[pathname] || (pathname === ZIPKIN_PATH ? 'zipkin' : null);
+
+    const send = (status, body) => {
+      response.writeHead(status, body === undefined ? {} : { 'Content-Type': 'application/json' });
+      response.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+    response.setHeader('Vary', 'Origin');
+
+    if (request.method === 'OPTIONS') {
+      response.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE');
+      response.setHeader('Access-Control-Allow-Headers', request.headers['access-control-request-headers'] || 'Content-Type');
+      send(204);
+      return;
+    }
+
+    if (pathname === '/received') {
+      if (request.method === 'DELETE') {
+        received = emptyReceived();
+        send(204);
+      } else {
+        send(200, received);
+      }
+      return;
+    }
+
+    if (!signal) {
+      send(404, { error: `Unknown path ${pathname}` });
+      return;
+    }
+    if (request.method !== 'POST') {
+      send(405, { error: `${pathname} accepts POST` });
+      return;
+    }
+    if (!(request.headers['content-type'] || '').includes('application/json')) {
+      // OTLP/protobuf is valid OTLP, but this mock only decodes JSON
+      send(415, { error: 'Only JSON bodies are supported; configure the exporter for OTLP/JSON' });
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(request));
+    } catch (e) {
+      send(400, { error: `Invalid JSON: ${e.message}` });
+      return;
+    }
+
+    received[signal].push(body);
+    log(`[mock-collector] ${pathname} ${summarize(signal, body)}`);
+
+    // Zipkin answers 202 with no body; OTLP answers with an empty ExportServiceResponse
+    if (signal === 'zipkin') {
+      send(202);
+    } else {
+      send(200, {});
+    }
+  });
+
+  return { server, received: () => received };
+};
+
+// Run as a script rather than imported by a test
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 4318;
+  createMockCollector().server.listen(port, () => {
+    console.log(`[mock-collector] Listening on http://localhost:${port}`);
+  });
+}
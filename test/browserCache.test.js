@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { BrowserCache } from '../public/browserCache.js';
+
+const MINUTE = 60 * 1000;
+
+// Just enough of an IndexedDB database for BrowserCache: one store, requests that succeed on the next tick
+const fakeDatabase = (store) => {
+  const request = (operation) => {
+    const pending = {};
+    setTimeout(() => {
+      pending.result = operation();
+      pending.onsuccess();
+    }, 0);
+    return pending;
+  };
+  return {
+    transaction: () => ({
+      objectStore: () => ({
+        get: (key) => request(() => store.get(key)),
+        put: (entry) => request(() => store.set(entry.key, entry)),
+        delete: (key) => request(() => store.delete(key)),
+      }),
+    }),
+  };
+};
+
+let store;
+let cache;
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  store = new Map();
+  cache = new BrowserCache({ name: 'test-cache', ttlMillis: 10 * MINUTE, staleWhileRevalidateMillis: 60 * MINUTE });
+  cache._db = Promise.resolve(fakeDatabase(store));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+const advance = (millis) => vi.setSystemTime(Date.now() + millis);
+
+describe('BrowserCache', () => {
+  it('serves entries fresh, then stale, from memory', async () => {
+    await cache.write('seattle', { temp: 54 });
+
+    expect(await cache.read('seattle')).toMatchObject({ value: { temp: 54 }, state: 'fresh', layer: 'memory' });
+    advance(11 * MINUTE);
+    expect(await cache.read('seattle')).toMatchObject({ state: 'stale', ageSeconds: 660 });
+  });
+
+  it('promotes entries read from IndexedDB to memory', async () => {
+    store.set('seattle', { key: 'seattle', value: { temp: 54 }, storedAt: Date.now() });
+
+    expect(await cache.read('seattle')).toMatchObject({ layer: 'indexeddb' });
+    expect(await cache.read('seattle')).toMatchObject({ layer: 'memory' });
+  });
+
+  it('removes an expired entry from both levels when it is read', async () => {
+    await cache.write('seattle', { temp: 54 });
+    advance(70 * MINUTE + 1);
+
+    expect(await cache.read('seattle')).toBeNull();
+    expect(cache._memory.has('seattle')).toBe(false);
+    expect(store.has('seattle')).toBe(false);
+  });
+
+  it('removes an expired entry found only in IndexedDB without promoting it', async () => {
+    store.set('seattle', { key: 'seattle', value: { temp: 54 }, storedAt: Date.now() - 71 * MINUTE });
+
+    expect(await cache.read('seattle')).toBeNull();
+    expect(store.has('seattle')).toBe(false);
+    expect(cache._memory.has('seattle')).toBe(false);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { DEFAULT_CONFIG, resolveTelemetryConfig, validateConfig } from '../public/config.js';
+import { jsonResponse, mockFetch } from './helpers/fetch.js';
+
+const CONFIG_URL = '/telemetry-config.json';
+
+describe('validateConfig', () => {
+  it('accepts the defaults without errors', () => {
+    const { config, errors } = validateConfig({});
+
+    expect(errors).toEqual([]);
+    expect(config.serviceName).toBe(DEFAULT_CONFIG.serviceName);
+    expect(config.batch).toEqual(DEFAULT_CONFIG.batch);
+  });
+
+  it('replaces invalid values with their defaults and reports each one', () => {
+    const { config, errors } = validateConfig({
+      serviceName: '  ',
+      collectorUrl: 'ftp://collector',
+      batch: { maxQueueSize: -1 },
+      sampling: { ratio: 2, rules: [{ name: '(', ratio: 1 }], keepErrors: 'yes' },
+      routes: ['cities/:city'],
+      propagators: ['jaeger'],
+    });
+
+    expect(config).toMatchObject({
+      serviceName: DEFAULT_CONFIG.serviceName,
+      collectorUrl: DEFAULT_CONFIG.collectorUrl,
+      batch: { maxQueueSize: DEFAULT_CONFIG.batch.maxQueueSize },
+      sampling: DEFAULT_CONFIG.sampling,
+      routes: [],
+      propagators: DEFAULT_CONFIG.propagators,
+    });
+    expect(errors).toEqual([
+      'serviceName must be a non-empty string (got "  ")',
+      'collectorUrl must be an http(s) URL (got "ftp://collector")',
+      'batch.maxQueueSize must be a positive integer (got -1)',
+      'sampling.ratio must be a number between 0 and 1 (got 2)',
+      'sampling.rules must be an array of { name?, url?, ratio } rules with valid regular expressions (got [{"name":"(","ratio":1}])',
+      'sampling.keepErrors must be a boolean (got "yes")',
+      'routes must be an array of paths starting with / (got ["cities/:city"])',
+      expect.stringMatching(/^propagators must be a non-empty array of /),
+    ]);
+  });
+
+  it('keeps valid values alongside invalid ones in the same group', () => {
+    const { config } = validateConfig({ batch: { maxQueueSize: 100, scheduledDelayMillis: 0 } });
+
+    expect(config.batch).toEqual({ ...DEFAULT_CONFIG.batch, maxQueueSize: 100, maxExportBatchSize: 100 });
+  });
+
+  it('warns about unknown keys, including nested ones', () => {
+    const { config, errors } = validateConfig({ serviceNmae: 'typo', batch: { delay: 5 } });
+
+    expect(errors).toEqual([
+      'serviceNmae is not a known telemetry setting',
+      'batch.delay is not a known telemetry setting',
+    ]);
+    expect(config.serviceName).toBe(DEFAULT_CONFIG.serviceName);
+  });
+
+  it('clamps the export batch size to the queue size', () => {
+    const { config, errors } = validateConfig({ batch: { maxQueueSize: 256, maxExportBatchSize: 512 } });
+
+    expect(config.batch).toMatchObject({ maxQueueSize: 256, maxExportBatchSize: 256 });
+    expect(errors).toEqual(['batch.maxExportBatchSize must not exceed batch.maxQueueSize']);
+  });
+
+  it('normalizes the collector URL and compiles header propagation patterns', () => {
+    const { config } = validateConfig({
+      collectorUrl: 'https://otel.example.com/',
+      propagateTraceHeaderCorsUrls: ['api\\.example\\.com', /backend/],
+    });
+
+    expect(config.collectorUrl).toBe('https://otel.example.com');
+    expect(config.propagateTraceHeaderCorsUrls).toEqual([/api\.example\.com/, /backend/]);
+  });
+});
+
+describe('resolveTelemetryConfig', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('applies the remote config over the options passed in', async () => {
+    mockFetch([[CONFIG_URL, () => jsonResponse({ environment: 'staging' })]]);
+
+    const { config, errors } = await resolveTelemetryConfig({ environment: 'test', serviceVersion: '2.0.0' });
+
+    expect(config).toMatchObject({ environment: 'staging', serviceVersion: '2.0.0' });
+    expect(errors).toEqual([]);
+  });
+
+  it('treats a missing config file as no overrides', async () => {
+    mockFetch([[CONFIG_URL, () => new Response('Not found', { status: 404 })]]);
+
+    const { config, errors } = await resolveTelemetryConfig({ environment: 'test' });
+
+    expect(config.environment).toBe('test');
+    expect(errors).toEqual([]);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it("treats the dev server's HTML fallback as no overrides", async () => {
+    mockFetch([[CONFIG_URL, () => new Response('<!doctype html>', { headers: { 'content-type': 'text/html' } })]]);
+
+    const { errors } = await resolveTelemetryConfig();
+
+    expect(errors).toEqual([]);
+  });
+
+  it('reports a config file that is not a JSON object', async () => {
+    mockFetch([[CONFIG_URL, () => jsonResponse(['staging'])]]);
+
+    const { config, errors } = await resolveTelemetryConfig();
+
+    expect(config.environment).toBe(DEFAULT_CONFIG.environment);
+    expect(errors).toEqual([`remote config ${CONFIG_URL} must contain a JSON object`]);
+    expect(warn).toHaveBeenCalledWith('[telemetry config]', errors[0]);
+  });
+
+  it('reports server errors from the config URL', async () => {
+    mockFetch([[CONFIG_URL, () => jsonResponse({}, 500)]]);
+
+    const { errors } = await resolveTelemetryConfig();
+
+    expect(errors).toEqual([`remote config ${CONFIG_URL} returned HTTP 500`]);
+  });
+
+  it('gives up on the config file after 2 seconds', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    mockFetch([[CONFIG_URL, (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+    })]]);
+
+    const pending = resolveTelemetryConfig({ environment: 'test' });
+    await vi.advanceTimersByTimeAsync(2000);
+    const { config, errors } = await pending;
+
+    expect(config.environment).toBe('test');
+    expect(errors).toEqual([`remote config ${CONFIG_URL} could not be loaded: The operation was aborted.`]);
+  });
+
+  it('skips the fetch when remoteConfigUrl is null', async () => {
+    const fetchMock = mockFetch([]);
+
+    await resolveTelemetryConfig({ remoteConfigUrl: null });
+
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+
+import { context, SpanStatusCode } from '@opentelemetry/api';
+import { suppressTracing } from '@opentelemetry/core';
+
+import { fingerprintError, ignoreFailedXhrs, initErrorTracking, markXhrHandled, reportError } from '../public/errorTracking.js';
+import { finishedSpans } from './helpers/tracing.js';
+import { mockXHR } from './helpers/fetch.js';
+
+const COLLECTOR_URL = 'http://localhost:4318/v1/traces';
+
+let FailingXHR;
+
+const sendXHR = (url, { handled = false } = {}) => new Promise((resolve) => {
+  const request = new XMLHttpRequest();
+  request.open('GET', url);
+  if (handled) {
+    markXhrHandled(request);
+  }
+  request.addEventListener('loadend', () => setTimeout(resolve, 0));
+  request.send();
+});
+
+const exceptionSpans = (source) => finishedSpans().filter((span) => span.name === `exception.${source}`);
+
+beforeAll(() => {
+  document.body.innerHTML = '<div id="logOutput"></div>';
+  // initErrorTracking patches whichever XMLHttpRequest is current, so stub first and keep that class
+  mockXHR({ status: 503 });
+  FailingXHR = XMLHttpRequest;
+  initErrorTracking({ ignoreUrls: [COLLECTOR_URL] });
+});
+
+beforeEach(() => {
+  vi.stubGlobal('XMLHttpRequest', FailingXHR);
+});
+
+describe('fingerprintError', () => {
+  const v8Stack = (message, frame) => `TypeError: ${message}\n    at ${frame} (http://localhost:1234/app.js:10:5)\n    at main (http://localhost:1234/app.js:20:3)`;
+  const firefoxStack = (frame) => `${frame}@http://localhost:1234/app.js:10:5\nmain@http://localhost:1234/app.js:20:3`;
+
+  it('groups messages that differ only in numbers, IDs and URLs', () => {
+    const first = fingerprintError('TypeError', 'City 12 not found at https://api.test/a?id=1', v8Stack('x', 'render'));
+    const second = fingerprintError('TypeError', 'City 345 not found at https://api.test/b', v8Stack('y', 'render'));
+
+    expect(first).toBe(second);
+    expect(first).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  it('keeps the top frame of stacks without a message header', () => {
+    const render = fingerprintError('TypeError', 'boom', firefoxStack('render'));
+    const parse = fingerprintError('TypeError', 'boom', firefoxStack('parse'));
+
+    expect(render).not.toBe(parse);
+  });
+
+  it('separates errors thrown from different V8 frames', () => {
+    expect(fingerprintError('TypeError', 'boom', v8Stack('boom', 'render')))
+      .not.toBe(fingerprintError('TypeError', 'boom', v8Stack('boom', 'parse')));
+  });
+});
+
+describe('reportError', () => {
+  it('stops reporting a fingerprint after 10 occurrences', () => {
+    for (let i = 0; i < 12; i++) {
+      reportError(new Error('rate limited'), 'test');
+    }
+
+    const spans = exceptionSpans('test').filter((span) => span.attributes['exception.message'] === 'rate limited');
+    expect(spans).toHaveLength(10);
+    expect(spans.at(-1).attributes['error.occurrence']).toBe(10);
+  });
+});
+
+describe('window hooks', () => {
+  it('reports uncaught errors with their source location', () => {
+    window.dispatchEvent(new ErrorEvent('error', {
+      error: new RangeError('uncaught'),
+      message: 'uncaught',
+      filename: 'http://localhost:1234/app.js',
+      lineno: 12,
+      colno: 7,
+    }));
+
+    const [span] = exceptionSpans('window.onerror');
+    expect(span.attributes).toMatchObject({
+      'exception.type': 'RangeError',
+      'exception.message': 'uncaught',
+      'code.filepath': 'http://localhost:1234/app.js',
+      'code.lineno': 12,
+    });
+  });
+
+  it('reports unhandled rejections, including non-Error reasons', () => {
+    const event = new Event('unhandledrejection');
+    event.reason = 'plain string';
+    window.dispatchEvent(event);
+
+    const [span] = exceptionSpans('unhandledrejection');
+    expect(span.attributes['exception.message']).toBe('plain string');
+  });
+
+  it('reports resources that fail to load', () => {
+    const image = document.createElement('img');
+    image.src = 'http://localhost:1234/missing.png';
+    document.body.appendChild(image);
+    image.dispatchEvent(new Event('error'));
+
+    const [span] = exceptionSpans('resource');
+    expect(span.attributes).toMatchObject({
+      'resource.tag': 'img',
+      'resource.url': 'http://localhost:1234/missing.png',
+    });
+    expect(exceptionSpans('window.onerror')).toHaveLength(0);
+  });
+});
+
+describe('failed XHR tracking', () => {
+  it('reports HTTP errors as exception.xhr spans', async () => {
+    await sendXHR('https://jsonplaceholder.typicode.com/todos/1');
+
+    const [span] = exceptionSpans('xhr');
+    expect(span.status.code).toBe(SpanStatusCode.ERROR);
+    expect(span.attributes).toMatchObject({
+      'http.method': 'GET',
+      'http.url': 'https://jsonplaceholder.typicode.com/todos/1',
+      'http.status_code': 503,
+    });
+  });
+
+  it('skips exporter URLs, suppressed requests and requests the caller handles', async () => {
+    await sendXHR(COLLECTOR_URL);
+    await context.with(suppressTracing(context.active()), () => sendXHR('http://localhost:9411/api/v2/spans'));
+    await sendXHR('https://jsonplaceholder.typicode.com/posts/1', { handled: true });
+
+    expect(exceptionSpans('xhr')).toHaveLength(0);
+  });
+
+  it('skips URLs added once the exporters are known', async () => {
+    ignoreFailedXhrs([/^http:\/\/localhost:9411\//]);
+
+    await sendXHR('http://localhost:9411/api/v2/spans');
+
+    expect(exceptionSpans('xhr')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SpanStatusCode, context, trace } from '@opentelemetry/api';
+
+import { createExportProcessor, formatSpanTree, memoryExporter, registerExporter } from '../public/exporters.js';
+import { DEFAULT_CONFIG, validateConfig } from '../public/config.js';
+import { finishedSpans } from './helpers/tracing.js';
+
+beforeEach(() => {
+  memoryExporter.reset();
+});
+
+// getWeather with a cache check and a failed fetch under it, plus an unrelated click
+const recordSpans = () => {
+  const tracer = trace.getTracer('vanilla-frontend');
+  const parent = tracer.startSpan('getWeather');
+  const parentContext = trace.setSpan(context.active(), parent);
+  tracer.startSpan('cache.check.browser', {}, parentContext).end();
+  const fetchSpan = tracer.startSpan('weather-proxy-api', {}, parentContext);
+  fetchSpan.setStatus({ code: SpanStatusCode.ERROR, message: 'HTTP 503' });
+  fetchSpan.end();
+  parent.end();
+  tracer.startSpan('click').end();
+  return finishedSpans();
+};
+
+const configWith = (exporters) => ({ ...DEFAULT_CONFIG, exporters });
+
+describe('formatSpanTree', () => {
+  it('draws one tree per trace with durations and errors', () => {
+    const spans = recordSpans();
+    const [weatherTraceId, clickTraceId] = [spans[2], spans[3]].map((span) => span.spanContext().traceId);
+
+    const lines = formatSpanTree(spans).split('\n');
+
+    expect(lines.map((line) => line.replace(/ \d+\.\dms/, ''))).toEqual([
+      `trace ${weatherTraceId}`,
+      '└─ getWeather',
+      '   ├─ cache.check.browser',
+      '   └─ weather-proxy-api ✗ HTTP 503',
+      `trace ${clickTraceId}`,
+      '└─ click',
+    ]);
+    expect(lines[1]).toMatch(/^└─ getWeather \d+\.\dms$/);
+  });
+
+  it('draws spans whose parent is in another batch as roots', () => {
+    const [cacheCheck] = recordSpans();
+
+    expect(formatSpanTree([cacheCheck])).toMatch(/^trace \w{32}\n└─ cache\.check\.browser/);
+  });
+});
+
+describe('createExportProcessor', () => {
+  it('sends every span to each exporter with its own batch settings', async () => {
+    const { processor } = createExportProcessor(configWith([
+      { name: 'memory', batch: false },
+      { name: 'console', batch: { scheduledDelayMillis: 60000 } },
+    ]));
+
+    recordSpans().forEach((span) => processor.onEnd(span));
+
+    // Unbatched: exported as each span ended
+    expect(memoryExporter.getFinishedSpans().map((span) => span.name)).toEqual([
+      'cache.check.browser', 'weather-proxy-api', 'getWeather', 'click',
+    ]);
+    expect(console.log).not.toHaveBeenCalled();
+
+    await processor.forceFlush();
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(console.log.mock.calls[0][0]).toContain('└─ getWeather');
+  });
+
+  it('returns the URLs exporters send to and skips unknown exporters', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { urls } = createExportProcessor(configWith([
+      { name: 'zipkin', options: { url: 'http://zipkin.test:9411/api/v2/spans' } },
+      { name: 'jaeger' },
+    ]));
+
+    expect(urls).toEqual(['http://zipkin.test:9411/api/v2/spans']);
+    expect(warn).toHaveBeenCalledWith('[telemetry exporters]', 'Unknown exporter "jaeger" skipped');
+  });
+
+  it('uses exporters added with registerExporter', async () => {
+    const exported = [];
+    registerExporter('test-recorder', (options) => ({
+      exporter: {
+        export: (spans, done) => {
+          exported.push(...spans.map((span) => `${options.prefix}${span.name}`));
+          done({ code: 0 });
+        },
+        shutdown: () => Promise.resolve(),
+      },
+      url: 'http://recorder.test',
+    }));
+
+    const { processor, urls } = createExportProcessor(configWith([{ name: 'test-recorder', options: { prefix: '> ' } }]));
+    recordSpans().forEach((span) => processor.onEnd(span));
+    await processor.forceFlush();
+
+    expect(urls).toEqual(['http://recorder.test']);
+    expect(exported).toContain('> getWeather');
+  });
+});
+
+describe('exporters setting', () => {
+  it('defaults to OTLP only', () => {
+    expect(validateConfig({}).config.exporters).toEqual([{ name: 'otlp' }]);
+  });
+
+  it('accepts several exporters with batch overrides', () => {
+    const exporters = [
+      { name: 'otlp', batch: { scheduledDelayMillis: 5000 } },
+      { name: 'console', batch: false },
+      { name: 'zipkin', options: { url: 'http://localhost:9411/api/v2/spans' } },
+    ];
+
+    const { config, errors } = validateConfig({ exporters });
+
+    expect(errors).toEqual([]);
+    expect(config.exporters).toEqual(exporters);
+  });
+
+  it('falls back to the default for unknown exporters or batch settings', () => {
+    for (const exporters of [[], [{ name: 'jaeger' }], [{ name: 'console', batch: { maxQueueSize: 0 } }], [{ name: 'memory', batch: { delay: 5 } }]]) {
+      const { config, errors } = validateConfig({ exporters });
+
+      expect(config.exporters).toEqual([{ name: 'otlp' }]);
+      expect(errors[0]).toMatch(/^exporters must be a non-empty array/);
+    }
+  });
+});
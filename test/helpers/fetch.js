@@ -0,0 +1,58 @@
+/**
+ * fetch/XHR Mocks
+ *
+ * Route-based fakes for the network calls app flows make, so tests can
+ * script backend responses and failures without a server.
+ */
+
+import { vi } from 'vitest';
+
+export const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'content-type': 'application/json' },
+});
+
+// routes: [[RegExp | string, (url, init) => Response | Promise<Response>], ...]; unmatched URLs reject like a network error
+export const mockFetch = (routes) => {
+  const fetchMock = vi.fn(async (input, init) => {
+    const url = String(input instanceof Request ? input.url : input);
+    const route = routes.find(([pattern]) => (pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern)));
+    if (!route) {
+      throw new TypeError(`Failed to fetch ${url}`);
+    }
+    return route[1](url, init);
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+};
+
+// Minimal XMLHttpRequest that answers every request with the given status, or fails like a network error
+export const mockXHR = ({ status = 200, body = '{}', networkError = false } = {}) => {
+  const requests = [];
+
+  class FakeXMLHttpRequest extends EventTarget {
+    open(method, url) {
+      this.method = method;
+      this.url = url;
+      this.readyState = 1;
+    }
+
+    setRequestHeader() {}
+
+    send() {
+      requests.push(this);
+      setTimeout(() => {
+        this.readyState = 4;
+        this.status = networkError ? 0 : status;
+        this.responseText = networkError ? '' : body;
+        const type = networkError ? 'error' : 'load';
+        this[`on${type}`]?.(new Event(type));
+        this.dispatchEvent(new Event(type));
+        this.dispatchEvent(new Event('loadend'));
+      }, 0);
+    }
+  }
+
+  vi.stubGlobal('XMLHttpRequest', FakeXMLHttpRequest);
+  return requests;
+};
@@ -0,0 +1,57 @@
+/**
+ * Test Tracing Harness
+ *
+ * Registers a tracer provider that keeps finished spans in memory, with an
+ * AsyncLocalStorage context manager so parent/child relationships survive
+ * awaits the way ZoneContextManager keeps them in the browser.
+ */
+
+import { context, trace } from '@opentelemetry/api';
+import { AsyncLocalStorageContextManager } from '@opentelemetry/context-async-hooks';
+import { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base';
+
+export const exporter = new InMemorySpanExporter();
+
+export const provider = new BasicTracerProvider({
+  spanProcessors: [new SimpleSpanProcessor(exporter)],
+});
+
+export const registerTracing = () => {
+  trace.disable();
+  context.disable();
+  context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+  trace.setGlobalTracerProvider(provider);
+};
+
+export const finishedSpans = () => exporter.getFinishedSpans();
+
+export const findSpan = (name) => finishedSpans().find((span) => span.name === name);
+
+// { name, attributes, children } for each root, children ordered by start time
+export const spanTree = (spans = finishedSpans()) => {
+  const nodes = new Map(spans.map((span) => [span.spanContext().spanId, {
+    name: span.name,
+    attributes: span.attributes,
+    children: [],
+    span,
+  }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.span.parentSpanId);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const byStart = (a, b) => a.span.startTime[0] - b.span.startTime[0] || a.span.startTime[1] - b.span.startTime[1];
+  const sort = (list) => {
+    list.sort(byStart);
+    list.forEach((node) => sort(node.children));
+    return list;
+  };
+  return sort(roots);
+};
+
+// Names only, e.g. { getWeather: ['cache.check.browser'] }, for compact assertions
+export const spanNames = (node) => (node.children.length === 0
+  ? node.name
+  : { [node.name]: node.children.map(spanNames) });
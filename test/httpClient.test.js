@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { context, trace } from '@opentelemetry/api';
+
+import { CircuitBreaker, TimeoutError, resilientFetch } from '../public/httpClient.js';
+import { finishedSpans } from './helpers/tracing.js';
+import { jsonResponse, mockFetch } from './helpers/fetch.js';
+
+const tracer = trace.getTracer('test');
+
+// Runs fn inside a span and returns its result (or error) with the exported span
+const inSpan = async (fn) => {
+  const span = tracer.startSpan('test');
+  let result;
+  try {
+    result = await context.with(trace.setSpan(context.active(), span), fn);
+  } catch (e) {
+    result = e;
+  }
+  span.end();
+  return { result, span: finishedSpans().at(-1) };
+};
+
+// A fetch that only settles when aborted
+const hangingFetch = (url, init) => new Promise((resolve, reject) => {
+  init.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+});
+
+describe('resilientFetch', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const run = async (fn) => {
+    const pending = inSpan(fn);
+    await vi.runAllTimersAsync();
+    return pending;
+  };
+
+  it('times out slow attempts and retries them', async () => {
+    const fetchMock = mockFetch([['/slow', hangingFetch]]);
+
+    const { result, span } = await run(() => resilientFetch('https://backend/slow', { timeoutMillis: 100, retries: 1 }));
+
+    expect(result).toBeInstanceOf(TimeoutError);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(span.attributes).toMatchObject({
+      'http.client.timeout_ms': 100,
+      'http.client.max_attempts': 2,
+      'http.client.attempts': 2,
+    });
+    expect(span.events.map((event) => event.name)).toEqual(['http.client.timeout', 'http.client.retry', 'http.client.timeout']);
+    expect(span.events[0].attributes['http.client.outcome']).toBe('timeout');
+  });
+
+  it("doesn't retry timeouts when told not to", async () => {
+    const fetchMock = mockFetch([['/slow', hangingFetch]]);
+
+    const { result, span } = await run(() => resilientFetch('https://backend/slow', { timeoutMillis: 100, retryTimeouts: false }));
+
+    expect(result).toBeInstanceOf(TimeoutError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(span.attributes['http.client.attempts']).toBe(1);
+  });
+
+  it('returns the last response once retries are used up', async () => {
+    const fetchMock = mockFetch([['/busy', () => jsonResponse({}, 503)]]);
+
+    const { result } = await run(() => resilientFetch('https://backend/busy', { retries: 2 }));
+
+    expect(result.status).toBe(503);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it("doesn't retry client errors", async () => {
+    const fetchMock = mockFetch([['/missing', () => jsonResponse({}, 404)]]);
+
+    const { result, span } = await run(() => resilientFetch('https://backend/missing'));
+
+    expect(result.status).toBe(404);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(span.events[0].attributes['http.client.outcome']).toBe('response');
+  });
+
+  it("doesn't retry non-idempotent requests unless told to", async () => {
+    const fetchMock = mockFetch([['/write', () => jsonResponse({}, 500)]]);
+
+    await run(() => resilientFetch('https://backend/write', { method: 'POST' }));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    await run(() => resilientFetch('https://backend/write', { method: 'POST', idempotent: true, retries: 1 }));
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it("doesn't retry requests the caller aborted", async () => {
+    const fetchMock = mockFetch([['/slow', hangingFetch]]);
+    const controller = new AbortController();
+
+    const pending = run(() => resilientFetch('https://backend/slow', { signal: controller.signal }));
+    controller.abort();
+    const { result } = await pending;
+
+    expect(result.name).toBe('AbortError');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('caps backoff at the maximum delay', async () => {
+    mockFetch([['/busy', () => jsonResponse({}, 503)]]);
+    vi.spyOn(Math, 'random').mockReturnValue(0.999);
+
+    const { span } = await run(() => resilientFetch('https://backend/busy', { retries: 3, baseDelayMillis: 500, maxDelayMillis: 1500 }));
+
+    const delays = span.events
+      .filter((event) => event.name === 'http.client.retry')
+      .map((event) => event.attributes['http.client.retry_delay_ms']);
+    expect(delays).toEqual([999, 1499, 1499]);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('opens after consecutive failures and half-opens after the reset timeout', () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2, resetTimeoutMillis: 1000 });
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('closed');
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+
+    vi.setSystemTime(Date.now() + 1000);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.allowRequest()).toBe(true);
+    // Only one trial request at a time
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('reopens when the half-open trial fails', () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeoutMillis: 1000 });
+
+    breaker.recordFailure();
+    vi.setSystemTime(Date.now() + 1000);
+    breaker.allowRequest();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+  });
+
+  it('lets another trial through once a half-open trial is released', () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeoutMillis: 1000 });
+
+    breaker.recordFailure();
+    vi.setSystemTime(Date.now() + 1000);
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.release();
+
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('resets the failure count on success', () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2 });
+
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('records state changes on the active span', async () => {
+    const breaker = new CircuitBreaker({ name: 'weather-backend-cache', failureThreshold: 1 });
+
+    const { span } = await inSpan(() => breaker.recordFailure());
+
+    expect(span.events[0]).toMatchObject({
+      name: 'circuit_breaker.state_change',
+      attributes: {
+        'circuit_breaker.name': 'weather-backend-cache',
+        'circuit_breaker.from': 'closed',
+        'circuit_breaker.to': 'open',
+        'circuit_breaker.failures': 1,
+      },
+    });
+  });
+});
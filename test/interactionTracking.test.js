@@ -0,0 +1,230 @@
+import { describe, it, expect, afterEach, beforeAll, beforeEach } from 'vitest';
+
+import { classifyAdjustment, initInteractionTracking } from '../public/interactionTracking.js';
+import { findSpan, finishedSpans } from './helpers/tracing.js';
+
+const spansNamed = (name) => finishedSpans().filter((span) => span.name === name);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('classifyAdjustment', () => {
+  it.each([
+    [5, 10, { delta: 5, direction: 'increased', adjustment: 'large' }],
+    [9, 1, { delta: -8, direction: 'decreased', adjustment: 'large' }],
+    [5, 9, { delta: 4, direction: 'increased', adjustment: 'medium' }],
+    [5, 3, { delta: -2, direction: 'decreased', adjustment: 'medium' }],
+    [5, 6, { delta: 1, direction: 'increased', adjustment: 'small' }],
+    [5, 4, { delta: -1, direction: 'decreased', adjustment: 'small' }],
+    [5, 5, { delta: 0, direction: 'unchanged', adjustment: 'none' }],
+  ])('%i → %i', (start, end, expected) => {
+    expect(classifyAdjustment(start, end)).toEqual(expected);
+  });
+});
+
+describe('initInteractionTracking', () => {
+  let slider;
+  let cityInput;
+  let button;
+  let form;
+
+  beforeAll(() => {
+    initInteractionTracking();
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="logOutput"></div>
+      <input type="range" id="slider" min="1" max="10" value="5" data-otel-name="slider" data-otel-track>
+      <input type="text" id="weatherInput" data-otel-name="weather-input" data-otel-track data-otel-commit="#getWeather">
+      <button id="getWeather">Get Weather</button>
+      <form id="signup" data-otel-track><input name="email"><input name="name"><button type="submit">Go</button></form>
+      <input type="text" id="untracked">
+    `;
+    slider = document.querySelector('#slider');
+    cityInput = document.querySelector('#weatherInput');
+    button = document.querySelector('#getWeather');
+    form = document.querySelector('#signup');
+  });
+
+  // Close visits left open by a test, so they don't carry over into the next one
+  afterEach(() => {
+    window.dispatchEvent(new Event('pagehide'));
+  });
+
+  const drag = (element, values) => {
+    for (const value of values) {
+      element.value = String(value);
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  };
+
+  const type = (element, text) => {
+    for (const char of text) {
+      element.value += char;
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  };
+
+  const pressEnter = (element) => element.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+  it('records a slider adjustment from press to release', () => {
+    slider.value = '2';
+    slider.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+    drag(slider, [3, 5, 8]);
+    slider.dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(findSpan('user.adjusted.slider').attributes).toMatchObject({
+      'interaction.name': 'slider',
+      'interaction.kind': 'range',
+      'interaction.outcome': 'commit',
+      'interaction.adjustments': 3,
+      'interaction.commit.index': 1,
+      'slider.start.value': 2,
+      'slider.end.value': 8,
+      'slider.delta': 6,
+      'slider.direction': 'increased',
+      'slider.magnitude': 6,
+      'slider.adjustment': 'large',
+    });
+  });
+
+  it('measures keyboard adjustments from the previous commit', () => {
+    slider.focus();
+    drag(slider, [7]);
+    slider.dispatchEvent(new Event('change', { bubbles: true }));
+    drag(slider, [6]);
+    slider.dispatchEvent(new Event('change', { bubbles: true }));
+
+    const spans = spansNamed('user.adjusted.slider');
+    expect(spans).toHaveLength(2);
+    expect(spans[1].attributes).toMatchObject({
+      'slider.start.value': 7,
+      'slider.end.value': 6,
+      'slider.direction': 'decreased',
+      'slider.adjustment': 'small',
+      'interaction.adjustments': 1,
+      'interaction.commit.index': 2,
+    });
+  });
+
+  it("doesn't record spans while dragging", () => {
+    slider.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+    drag(slider, [6, 7, 8, 9]);
+
+    expect(finishedSpans()).toHaveLength(0);
+  });
+
+  it('records the time from focus to commit for a text input, without its value', async () => {
+    cityInput.focus();
+    await wait(20);
+    type(cityInput, 'Seattle');
+    pressEnter(cityInput);
+
+    const span = findSpan('user.adjusted.weather-input');
+    expect(span.attributes).toMatchObject({
+      'interaction.kind': 'text',
+      'interaction.adjustments': 7,
+      'interaction.value.length': 7,
+    });
+    expect(span.attributes['interaction.time_to_commit_ms']).toBeGreaterThanOrEqual(15);
+    expect(Object.values(span.attributes)).not.toContain('Seattle');
+  });
+
+  it('commits a text input when its commit target is clicked, not abandons it', () => {
+    cityInput.focus();
+    type(cityInput, 'Portland');
+    button.focus();
+    button.click();
+
+    expect(spansNamed('user.adjusted.weather-input')).toHaveLength(1);
+    expect(spansNamed('user.abandoned.weather-input')).toHaveLength(0);
+  });
+
+  it('commits on a click of the commit target when focus leaves without a relatedTarget, as in Safari', () => {
+    cityInput.focus();
+    type(cityInput, 'Portland');
+    // Safari leaves the button unfocused: the input blurs to nothing between press and click
+    button.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+    cityInput.dispatchEvent(new FocusEvent('focusout', { bubbles: true, relatedTarget: null }));
+    button.click();
+
+    expect(spansNamed('user.adjusted.weather-input')).toHaveLength(1);
+    expect(spansNamed('user.abandoned.weather-input')).toHaveLength(0);
+  });
+
+  it('abandons the visit when a press on the commit target is dragged off it', () => {
+    cityInput.focus();
+    type(cityInput, 'Portland');
+    button.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+    cityInput.blur();
+    document.body.dispatchEvent(new Event('pointerup', { bubbles: true }));
+
+    expect(spansNamed('user.abandoned.weather-input')).toHaveLength(1);
+    button.click();
+    expect(spansNamed('user.adjusted.weather-input')).toHaveLength(0);
+  });
+
+  it('abandons the visit when focus moves on from the commit target without a click', () => {
+    cityInput.focus();
+    type(cityInput, 'Portland');
+    button.focus();
+    expect(spansNamed('user.abandoned.weather-input')).toHaveLength(0);
+
+    document.querySelector('#untracked').focus();
+
+    expect(spansNamed('user.abandoned.weather-input')).toHaveLength(1);
+  });
+
+  it('records an abandonment when focus leaves with uncommitted edits', () => {
+    cityInput.focus();
+    type(cityInput, 'Sea');
+    document.querySelector('#untracked').focus();
+
+    expect(findSpan('user.abandoned.weather-input').attributes).toMatchObject({
+      'interaction.outcome': 'abandon',
+      'interaction.adjustments': 3,
+      'interaction.commits': 0,
+    });
+    expect(findSpan('user.abandoned.weather-input').attributes['interaction.dwell_ms']).toBeGreaterThanOrEqual(0);
+  });
+
+  it("doesn't record anything for a visit without edits", () => {
+    cityInput.focus();
+    document.querySelector('#untracked').focus();
+
+    expect(finishedSpans()).toHaveLength(0);
+  });
+
+  it('abandons open visits when the page is hidden', () => {
+    slider.focus();
+    drag(slider, [9]);
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(findSpan('user.abandoned.slider').attributes['interaction.adjustments']).toBe(1);
+  });
+
+  it('treats a form as one visit across its fields and commits it on submit', () => {
+    const [email, name] = form.querySelectorAll('input');
+    email.focus();
+    type(email, 'a@b');
+    name.focus();
+    type(name, 'Al');
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    expect(spansNamed('user.abandoned.signup')).toHaveLength(0);
+    expect(findSpan('user.adjusted.signup').attributes).toMatchObject({
+      'interaction.kind': 'form',
+      'interaction.adjustments': 5,
+    });
+  });
+
+  it('ignores elements that have not opted in', () => {
+    const untracked = document.querySelector('#untracked');
+    untracked.focus();
+    type(untracked, 'hello');
+    pressEnter(untracked);
+    cityInput.focus();
+
+    expect(finishedSpans()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+
+import { context, trace } from '@opentelemetry/api';
+import { logs, SeverityNumber } from '@opentelemetry/api-logs';
+import { InMemoryLogRecordExporter, LoggerProvider, SimpleLogRecordProcessor } from '@opentelemetry/sdk-logs';
+
+import { emitLogRecord } from '../public/logs.js';
+
+const logExporter = new InMemoryLogRecordExporter();
+const tracer = trace.getTracer('test');
+
+const lastRecord = () => logExporter.getFinishedLogRecords().at(-1);
+
+beforeAll(() => {
+  const loggerProvider = new LoggerProvider();
+  loggerProvider.addLogRecordProcessor(new SimpleLogRecordProcessor(logExporter));
+  logs.setGlobalLoggerProvider(loggerProvider);
+});
+
+afterAll(() => {
+  logs.disable();
+});
+
+beforeEach(() => {
+  logExporter.reset();
+});
+
+describe('emitLogRecord', () => {
+  it('maps the log type to a severity, defaulting to INFO', () => {
+    const severities = ['error', 'warning', 'debug', 'success', undefined].map((type) => {
+      emitLogRecord('message', type);
+      return [lastRecord().severityNumber, lastRecord().severityText];
+    });
+
+    expect(severities).toEqual([
+      [SeverityNumber.ERROR, 'ERROR'],
+      [SeverityNumber.WARN, 'WARN'],
+      [SeverityNumber.DEBUG, 'DEBUG'],
+      [SeverityNumber.INFO, 'INFO'],
+      [SeverityNumber.INFO, 'INFO'],
+    ]);
+  });
+
+  it('keeps primitive details and stringifies the rest', () => {
+    emitLogRecord('Weather fetched', 'success', { 'City': 'Seattle', 'Attempts': 2, 'Cached': false, 'Tags': ['a', 'b'] });
+
+    expect(lastRecord().body).toBe('Weather fetched');
+    expect(lastRecord().attributes).toEqual({
+      'log.type': 'success',
+      'City': 'Seattle',
+      'Attempts': 2,
+      'Cached': false,
+      'Tags': 'a,b',
+    });
+  });
+
+  it('carries the trace context of the active span', () => {
+    const span = tracer.startSpan('getWeather');
+    context.with(trace.setSpan(context.active(), span), () => emitLogRecord('inside'));
+    span.end();
+
+    expect(lastRecord().spanContext).toMatchObject({
+      traceId: span.spanContext().traceId,
+      spanId: span.spanContext().spanId,
+    });
+  });
+
+  it('prefers an explicit span context over the active span', () => {
+    const active = tracer.startSpan('active');
+    const logged = tracer.startSpan('logged');
+    context.with(trace.setSpan(context.active(), active), () => emitLogRecord('explicit', 'info', {}, logged.spanContext()));
+    active.end();
+    logged.end();
+
+    expect(lastRecord().spanContext.spanId).toBe(logged.spanContext().spanId);
+  });
+
+  it('leaves records outside any span without trace context', () => {
+    emitLogRecord('outside');
+
+    expect(lastRecord().spanContext).toBeUndefined();
+  });
+});
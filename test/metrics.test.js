@@ -0,0 +1,49 @@
+import { describe, it, expect, afterEach } from 'vitest';
+
+import { metrics } from '@opentelemetry/api';
+import { MeterProvider, MetricReader } from '@opentelemetry/sdk-metrics';
+
+import { getMeter } from '../public/metrics.js';
+
+class TestReader extends MetricReader {
+  async onForceFlush() {}
+  async onShutdown() {}
+}
+
+const collectedPoints = async (reader, name) => {
+  const { resourceMetrics } = await reader.collect();
+  const metric = resourceMetrics.scopeMetrics
+    .flatMap((scope) => scope.metrics)
+    .find((candidate) => candidate.descriptor.name === name);
+  return metric?.dataPoints ?? [];
+};
+
+describe('getMeter', () => {
+  afterEach(() => {
+    metrics.disable();
+  });
+
+  it('binds instruments created before the MeterProvider is registered', async () => {
+    // Module-level instruments are created before initMetrics() runs
+    const counter = getMeter('test').createCounter('test.counter');
+    counter.add(1);
+
+    const reader = new TestReader();
+    metrics.setGlobalMeterProvider(new MeterProvider({ readers: [reader] }));
+    counter.add(2, { outcome: 'ok' });
+
+    const [point] = await collectedPoints(reader, 'test.counter');
+    expect(point.value).toBe(2);
+    expect(point.attributes).toEqual({ outcome: 'ok' });
+  });
+
+  it('records histograms through the registered provider', async () => {
+    const reader = new TestReader();
+    metrics.setGlobalMeterProvider(new MeterProvider({ readers: [reader] }));
+
+    getMeter('test').createHistogram('test.duration').record(42);
+
+    const [point] = await collectedPoints(reader, 'test.duration');
+    expect(point.value.sum).toBe(42);
+  });
+});
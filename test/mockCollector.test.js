@@ -0,0 +1,89 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { context, trace } from '@opentelemetry/api';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { ZipkinExporter } from '@opentelemetry/exporter-zipkin';
+
+import { createMockCollector } from '../scripts/mock-collector.mjs';
+import { finishedSpans } from './helpers/tracing.js';
+
+const log = vi.fn();
+const { server, received } = createMockCollector({ log });
+let baseUrl;
+
+beforeAll(() => new Promise((resolve) => {
+  server.listen(0, () => {
+    baseUrl = `http://localhost:${server.address().port}`;
+    resolve();
+  });
+}));
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+const recordSpans = () => {
+  const tracer = trace.getTracer('vanilla-frontend');
+  const parent = tracer.startSpan('getWeather');
+  tracer.startSpan('cache.check.browser', {}, trace.setSpan(context.active(), parent)).end();
+  parent.end();
+  return finishedSpans();
+};
+
+describe('mock collector', () => {
+  it('accepts the OTLP JSON the trace exporter sends', async () => {
+    await fetch(`${baseUrl}/received`, { method: 'DELETE' });
+    // The same exporter the app uses, so the test follows its OTLP JSON encoding
+    const exporter = new OTLPTraceExporter({ url: `${baseUrl}/v1/traces` });
+
+    const result = await new Promise((resolve) => exporter.export(recordSpans(), resolve));
+    await exporter.shutdown();
+
+    expect(result.code).toBe(0);
+    const { traces } = received();
+    expect(traces).toHaveLength(1);
+    expect(traces[0].resourceSpans[0].scopeSpans[0].spans.map((span) => span.name)).toEqual(['cache.check.browser', 'getWeather']);
+    expect(log).toHaveBeenCalledWith(expect.stringMatching(/^\[mock-collector\] \/v1\/traces 2 spans from .+: cache\.check\.browser, getWeather$/));
+
+    const stored = await (await fetch(`${baseUrl}/received`)).json();
+    expect(stored.traces).toEqual(traces);
+  });
+
+  it('accepts spans from the Zipkin exporter', async () => {
+    const exporter = new ZipkinExporter({ url: `${baseUrl}/api/v2/spans` });
+    const spans = recordSpans();
+
+    const result = await new Promise((resolve) => exporter.export(spans, resolve));
+
+    expect(result.code).toBe(0);
+    const [cacheCheck, parent] = received().zipkin.at(-1);
+    expect([cacheCheck.name, parent.name]).toEqual(['cache.check.browser', 'getWeather']);
+    expect(cacheCheck).toMatchObject({ traceId: spans[1].spanContext().traceId, parentId: parent.id });
+  });
+
+  it('answers CORS preflights for the dev server', async () => {
+    const response = await fetch(`${baseUrl}/v1/logs`, {
+      method: 'OPTIONS',
+      headers: {
+        'Origin': 'http://localhost:1234',
+        'Access-Control-Request-Method': 'POST',
+        'Access-Control-Request-Headers': 'content-type',
+      },
+    });
+
+    expect(response.status).toBe(204);
+    expect(response.headers.get('access-control-allow-origin')).toBe('http://localhost:1234');
+    expect(response.headers.get('access-control-allow-headers')).toBe('content-type');
+  });
+
+  it('rejects protobuf, malformed JSON and unknown paths', async () => {
+    const post = (path, body, contentType) => fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body,
+    });
+
+    expect((await post('/v1/metrics', 'binary', 'application/x-protobuf')).status).toBe(415);
+    expect((await post('/v1/metrics', '{oops', 'application/json')).status).toBe(400);
+    expect((await post('/v2/traces', '{}', 'application/json')).status).toBe(404);
+    expect(received().metrics).toEqual([]);
+  });
+});
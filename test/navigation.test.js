@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { ROOT_CONTEXT, SpanKind, trace } from '@opentelemetry/api';
+
+import {
+  NavigationContextManager,
+  NavigationSpanProcessor,
+  initNavigation,
+  resolveRouteTemplate,
+} from '../public/navigation.js';
+import { finishedSpans } from './helpers/tracing.js';
+
+const tracer = trace.getTracer('test');
+const contextManager = new NavigationContextManager().enable();
+const processor = new NavigationSpanProcessor();
+
+// A fetch span started the way the instrumentation does, under whatever context is active
+const startRequest = (name) => {
+  const span = tracer.startSpan(name, { kind: SpanKind.CLIENT }, contextManager.active());
+  processor.onStart(span);
+  return span;
+};
+
+const endRequest = (span) => {
+  span.end();
+  processor.onEnd(span);
+};
+
+const routeChangeSpans = () => finishedSpans().filter((span) => span.name.startsWith('route-change'));
+
+beforeAll(() => {
+  initNavigation(['/cities/:city']);
+});
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  // Back to / for the next test, then end whatever navigation is still waiting to settle
+  history.replaceState(null, '', '/');
+  vi.advanceTimersByTime(10000);
+  vi.useRealTimers();
+});
+
+describe('route-change spans', () => {
+  it('names the span from the route template and parents requests under it', () => {
+    history.pushState(null, '', '/cities/seattle');
+    const request = startRequest('GET /api/weather');
+
+    endRequest(request);
+    vi.advanceTimersByTime(500);
+
+    const [navigation] = routeChangeSpans();
+    expect(navigation.name).toBe('route-change /cities/:city');
+    expect(navigation.attributes).toMatchObject({
+      'navigation.type': 'pushState',
+      'route.path': '/cities/seattle',
+      'route.previous.path': '/',
+      'navigation.settled': true,
+      'navigation.request_count': 1,
+    });
+    expect(request.parentSpanId).toBe(navigation.spanContext().spanId);
+    expect(request.spanContext().traceId).toBe(navigation.spanContext().traceId);
+  });
+
+  it('waits for requests in flight before settling', () => {
+    history.pushState(null, '', '/cities/portland');
+    const request = startRequest('GET /api/weather');
+
+    vi.advanceTimersByTime(2000);
+    expect(routeChangeSpans()).toHaveLength(0);
+
+    endRequest(request);
+    vi.advanceTimersByTime(499);
+    expect(routeChangeSpans()).toHaveLength(0);
+
+    vi.advanceTimersByTime(1);
+    const [navigation] = routeChangeSpans();
+    expect(navigation.attributes['navigation.settled']).toBe(true);
+    expect(navigation.attributes['navigation.time_to_settled_ms']).toBe(2000);
+  });
+
+  it('gives up after 10 seconds with requests still in flight', () => {
+    history.pushState(null, '', '/cities/denver');
+    startRequest('GET /api/slow');
+
+    vi.advanceTimersByTime(10000);
+
+    const [navigation] = routeChangeSpans();
+    expect(navigation.attributes).toMatchObject({ 'navigation.settled': false, 'navigation.request_count': 1 });
+  });
+
+  it('ends an unsettled navigation as interrupted when the route changes again', () => {
+    history.pushState(null, '', '/cities/boise');
+    startRequest('GET /api/weather');
+    history.pushState(null, '', '/cities/reno');
+
+    const [interrupted] = routeChangeSpans();
+    expect(interrupted.attributes).toMatchObject({
+      'route.path': '/cities/boise',
+      'navigation.interrupted': true,
+      'navigation.settled': false,
+    });
+  });
+
+  it('ignores query and hash changes on the same path', () => {
+    history.pushState(null, '', '/cities/austin');
+    vi.advanceTimersByTime(500);
+    history.replaceState(null, '', '/cities/austin#forecast');
+
+    expect(contextManager.active()).toBe(ROOT_CONTEXT);
+    expect(routeChangeSpans()).toHaveLength(1);
+  });
+
+  it('leaves spans with a parent, and spans outside navigations, alone', () => {
+    const outside = tracer.startSpan('outside', {}, contextManager.active());
+    expect(outside.parentSpanId).toBeUndefined();
+
+    history.pushState(null, '', '/cities/tulsa');
+    const parent = tracer.startSpan('getWeather');
+    const child = tracer.startSpan('cache.check', {}, contextManager.with(trace.setSpan(ROOT_CONTEXT, parent), () => contextManager.active()));
+
+    expect(child.parentSpanId).toBe(parent.spanContext().spanId);
+  });
+});
+
+describe('resolveRouteTemplate', () => {
+  it('uses configured templates and replaces IDs in unknown paths', () => {
+    expect(resolveRouteTemplate('/cities/seattle')).toBe('/cities/:city');
+    expect(resolveRouteTemplate('/users/42/orders/0f8fad5b-d9cb-469f-a165-70867728950e')).toBe('/users/:id/orders/:id');
+  });
+});
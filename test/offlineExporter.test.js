@@ -0,0 +1,79 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { trace } from '@opentelemetry/api';
+import { ExportResultCode } from '@opentelemetry/core';
+// The browser build, whose constructor adds its own page-hide flush like the bundled app's
+import { BatchSpanProcessor } from '@opentelemetry/sdk-trace-base/build/src/platform/browser/export/BatchSpanProcessor.js';
+
+import { OfflineResilientExporter } from '../public/offlineExporter.js';
+import { finishedSpans } from './helpers/tracing.js';
+
+const COLLECTOR_URL = 'http://localhost:4318/v1/traces';
+
+const setVisibility = (state) => {
+  Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+afterEach(() => {
+  setVisibility('visible');
+  delete document.visibilityState;
+  delete navigator.sendBeacon;
+});
+
+describe('OfflineResilientExporter', () => {
+  it('sends spans queued when the page is hidden with sendBeacon, not XHR', async () => {
+    const delegate = { export: vi.fn(), shutdown: () => Promise.resolve() };
+    const sendBeacon = vi.fn(() => true);
+    Object.defineProperty(navigator, 'sendBeacon', { value: sendBeacon, configurable: true });
+
+    // Same order as exporters.js: the exporter exists before its processor
+    const exporter = new OfflineResilientExporter(delegate, { url: COLLECTOR_URL });
+    const processor = new BatchSpanProcessor(exporter, { scheduledDelayMillis: 60000 });
+    exporter.flushOnPageHide(processor);
+
+    trace.getTracer('test').startSpan('queued').end();
+    finishedSpans().forEach((span) => processor.onEnd(span));
+
+    setVisibility('hidden');
+    await processor.forceFlush();
+
+    expect(delegate.export).not.toHaveBeenCalled();
+    expect(sendBeacon).toHaveBeenCalledTimes(1);
+    const [url, body] = sendBeacon.mock.calls[0];
+    expect(url).toBe(COLLECTOR_URL);
+    expect(body.type).toBe('application/json');
+
+    await exporter.shutdown();
+  });
+
+  it('exports through the delegate while the page is visible', async () => {
+    const delegate = {
+      export: vi.fn((spans, done) => done({ code: ExportResultCode.SUCCESS })),
+      shutdown: () => Promise.resolve(),
+    };
+    const exporter = new OfflineResilientExporter(delegate, { url: COLLECTOR_URL });
+
+    trace.getTracer('test').startSpan('visible').end();
+    const result = await new Promise((resolve) => exporter.export(finishedSpans(), resolve));
+
+    expect(result.code).toBe(ExportResultCode.SUCCESS);
+    expect(delegate.export).toHaveBeenCalledTimes(1);
+
+    await exporter.shutdown();
+  });
+
+  it('reports a failed read of stored batches instead of rejecting unhandled', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const exporter = new OfflineResilientExporter({ export: vi.fn(), shutdown: () => Promise.resolve() }, { url: COLLECTOR_URL });
+    exporter._db = Promise.resolve({
+      transaction: () => {
+        throw new DOMException('The database connection is closing.', 'InvalidStateError');
+      },
+    });
+
+    exporter._retryNow();
+    await vi.waitFor(() => expect(warn).toHaveBeenCalledWith('Failed to retry stored span batches', expect.any(DOMException)));
+
+    await exporter.shutdown();
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+
+import { TraceFlags, trace } from '@opentelemetry/api';
+import { AlwaysOnSampler, BasicTracerProvider, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base';
+import { getElementXPath } from '@opentelemetry/sdk-trace-web';
+
+import '../public/apiRules.js';
+import { automaticSpanMethod, InteractionFilterSampler, nameInteractionSpan, trackPressedKeys } from '../public/otelMethods.js';
+import { exporter, finishedSpans } from './helpers/tracing.js';
+import { jsonResponse } from './helpers/fetch.js';
+
+const tracer = trace.getTracer('test');
+
+// Samples like telemetry.js, with the interaction filter in front of the app's sampler
+const interactionTracer = new BasicTracerProvider({
+  sampler: new InteractionFilterSampler(new AlwaysOnSampler()),
+  spanProcessors: [new SimpleSpanProcessor(exporter)],
+}).getTracer('user-interaction');
+
+// Runs the hook on a span shaped like the fetch instrumentation's and returns the exported span
+const fetchSpan = async (url, response) => {
+  const span = tracer.startSpan('HTTP GET', { attributes: { 'http.url': url } });
+  await automaticSpanMethod(span, {}, response);
+  span.end();
+  return finishedSpans().find((finished) => finished.spanContext().spanId === span.spanContext().spanId);
+};
+
+describe('automaticSpanMethod', () => {
+  it('names weather API spans from the registered rule', async () => {
+    const span = await fetchSpan(
+      'https://api.weatherapi.com/v1/current.json?key=secret&q=Seattle',
+      jsonResponse({ location: { name: 'Seattle', region: 'Washington', country: 'USA' }, current: { temp_f: 54 } }),
+    );
+
+    expect(span.name).toBe('automatic-weather-api');
+    expect(span.attributes).toMatchObject({
+      'http.route': '/v1/:endpoint',
+      'weather.api.endpoint': 'current.json',
+      'user.input.queryParameters': 'Seattle',
+      'weather.location.name': 'Seattle',
+      'weather.location.temp_f': 54,
+      'fromAutoInstrumentation': true,
+    });
+  });
+
+  it('names backend weather proxy spans and records the source tier', async () => {
+    const span = await fetchSpan(
+      'http://localhost:8000/api/weather?city=seattle',
+      jsonResponse({ data: { location: { name: 'Seattle' }, current: {} }, source: 'cache' }),
+    );
+
+    expect(span.name).toBe('weather-proxy-api');
+    expect(span.attributes).toMatchObject({
+      'http.route': '/api/weather',
+      'weather.location.name': 'Seattle',
+      'weather.source': 'cache',
+    });
+  });
+
+  it('records optional path params only when present', async () => {
+    const withId = await fetchSpan('https://jsonplaceholder.typicode.com/posts/1', jsonResponse({}));
+    expect(withId.name).toBe('automatic-jsonplaceholder-api');
+    expect(withId.attributes).toMatchObject({ 'api.resource': 'posts', 'api.resourceId': '1' });
+
+    const withoutId = await fetchSpan('https://jsonplaceholder.typicode.com/users', jsonResponse([]));
+    expect(withoutId.attributes['api.resource']).toBe('users');
+    expect(withoutId.attributes).not.toHaveProperty('api.resourceId');
+  });
+
+  it('leaves spans for unknown hosts named by the instrumentation', async () => {
+    const span = await fetchSpan('https://example.com/anything', new Response('ok', { headers: { 'content-type': 'text/plain' } }));
+
+    expect(span.name).toBe('HTTP GET');
+    expect(span.attributes['response.textBody']).toBe('ok');
+  });
+});
+
+describe('nameInteractionSpan', () => {
+  beforeAll(() => {
+    trackPressedKeys();
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="getWeather" data-otel-name="weather-button-click" data-otel-button-type="weather-api">Get Weather</button>
+      <input id="weatherInput" data-otel-name="weather-input" placeholder="Enter city name">
+      <div data-otel-name="card"><button id="nested"><span>Save</span></button></div>
+      <button id="plain">  Save   changes </button>
+      <div data-otel-ignore><button id="ignored">Hidden</button></div>
+    `;
+  });
+
+  // Starts the span the way the instrumentation does, with its attributes, then calls the hook
+  // and ends the span only when it wasn't prevented
+  const interact = (eventType, selector) => {
+    const element = document.querySelector(selector);
+    const span = interactionTracer.startSpan(eventType, {
+      attributes: {
+        'event_type': eventType,
+        'target_element': element.tagName,
+        'target_xpath': getElementXPath(element, true),
+      },
+    });
+    const prevented = nameInteractionSpan(eventType, element, span);
+    if (!prevented) {
+      span.end();
+    }
+    return { prevented, span: prevented ? undefined : finishedSpans().at(-1) };
+  };
+
+  const pressKey = (key, selector) => {
+    document.querySelector(selector).dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+    return interact('keydown', selector);
+  };
+
+  it('names spans from data-otel-name and maps other data-otel-* attributes', () => {
+    const { prevented, span } = interact('click', '#getWeather');
+
+    expect(prevented).toBe(false);
+    expect(span.name).toBe('weather-button-click');
+    expect(span.attributes).toMatchObject({
+      'button.type': 'weather-api',
+      'ui.element.role': 'button',
+      'ui.element.label': 'Get Weather',
+      'ui.element.id': 'getWeather',
+    });
+  });
+
+  it('appends the event type for events other than click', () => {
+    expect(interact('change', '#weatherInput').span.name).toBe('weather-input.change');
+  });
+
+  it('uses the nearest annotated ancestor', () => {
+    expect(interact('click', '#nested span').span.name).toBe('card');
+  });
+
+  it('falls back to role and label for unannotated elements', () => {
+    const { span } = interact('click', '#plain');
+
+    expect(span.name).toBe('click button "Save changes"');
+  });
+
+  it('drops spans inside data-otel-ignore without recording them', () => {
+    expect(interact('click', '#ignored').prevented).toBe(true);
+    expect(finishedSpans()).toHaveLength(0);
+  });
+
+  it('throttles input events to one span per element per second', () => {
+    expect(interact('input', '#weatherInput').prevented).toBe(false);
+    expect(interact('input', '#weatherInput').prevented).toBe(true);
+    expect(finishedSpans()).toHaveLength(1);
+  });
+
+  it('never throttles Enter, however fast it follows typing', () => {
+    expect(pressKey('a', '#plain').prevented).toBe(false);
+    expect(pressKey('b', '#plain').prevented).toBe(true);
+
+    const { prevented, span } = pressKey('Enter', '#plain');
+    expect(prevented).toBe(false);
+    expect(span.name).toBe('keydown button "Save changes"');
+  });
+});
+
+describe('InteractionFilterSampler', () => {
+  it('leaves spans other than user interactions to the delegate', () => {
+    const span = interactionTracer.startSpan('HTTP GET', { attributes: { 'http.url': 'https://example.com' } });
+
+    expect(span.isRecording()).toBe(true);
+    expect(span.spanContext().traceFlags).toBe(TraceFlags.SAMPLED);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { ROOT_CONTEXT, TraceFlags, defaultTextMapGetter, defaultTextMapSetter, propagation, trace } from '@opentelemetry/api';
+
+import { clearBaggage, getBaggageEntries, setBaggage } from '../public/baggage.js';
+import { createPropagator } from '../public/propagation.js';
+
+const spanContext = {
+  traceId: '0af7651916cd43dd8448eb211c80319c',
+  spanId: 'b7ad6b7169203331',
+  traceFlags: TraceFlags.SAMPLED,
+};
+const tracedContext = trace.setSpanContext(ROOT_CONTEXT, spanContext);
+
+const inject = (names, ctx = tracedContext) => {
+  const headers = {};
+  createPropagator(names).inject(ctx, headers, defaultTextMapSetter);
+  return headers;
+};
+
+afterEach(() => {
+  clearBaggage();
+});
+
+describe('createPropagator', () => {
+  it('sends W3C trace context by default', () => {
+    expect(inject(['tracecontext', 'baggage'])).toEqual({
+      traceparent: `00-${spanContext.traceId}-${spanContext.spanId}-01`,
+    });
+  });
+
+  it('sends B3 as a single header or as multiple headers', () => {
+    expect(inject(['b3'])).toEqual({ b3: `${spanContext.traceId}-${spanContext.spanId}-1` });
+    expect(inject(['b3multi'])).toEqual({
+      'x-b3-traceid': spanContext.traceId,
+      'x-b3-spanid': spanContext.spanId,
+      'x-b3-sampled': '1',
+    });
+  });
+
+  it('combines formats, so one request reaches both W3C and B3 backends', () => {
+    expect(Object.keys(inject(['tracecontext', 'b3multi'])).sort()).toEqual(['traceparent', 'x-b3-sampled', 'x-b3-spanid', 'x-b3-traceid']);
+  });
+
+  it('extracts a B3 parent', () => {
+    const ctx = createPropagator(['b3']).extract(ROOT_CONTEXT, { b3: `${spanContext.traceId}-${spanContext.spanId}-1` }, defaultTextMapGetter);
+    expect(trace.getSpanContext(ctx)).toMatchObject({ traceId: spanContext.traceId, spanId: spanContext.spanId, isRemote: true });
+  });
+});
+
+describe('baggage', () => {
+  it('sends app-wide entries, resolving functions on every request', () => {
+    let sessionId = 'session-1';
+    setBaggage('session.id', () => sessionId);
+    setBaggage('feature.flag', 'forecast v2');
+
+    expect(inject(['tracecontext', 'baggage']).baggage).toBe('session.id=session-1,feature.flag=forecast%20v2');
+
+    sessionId = 'session-2';
+    expect(getBaggageEntries()).toEqual({ 'session.id': 'session-2', 'feature.flag': 'forecast v2' });
+  });
+
+  it('skips entries without a value and lets context baggage win', () => {
+    setBaggage('user.id', () => null);
+    setBaggage('feature.flag', 'default');
+    const ctx = propagation.setBaggage(tracedContext, propagation.createBaggage({ 'feature.flag': { value: 'override' } }));
+
+    expect(inject(['baggage'], ctx)).toEqual({ baggage: 'feature.flag=override' });
+  });
+
+  it('is only sent when the baggage propagator is configured', () => {
+    setBaggage('session.id', 'session-1');
+    expect(inject(['tracecontext', 'b3']).baggage).toBeUndefined();
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { initLogPanel, log, logToUI } from '../public/utility.js';
+import { renderWeather } from '../public/weatherView.js';
+
+// Each one either breaks out of an attribute or text node, or runs script if parsed as HTML
+const HOSTILE_STRINGS = [
+  '<img src=x onerror="window.__injected = true">',
+  '<script>window.__injected = true</script>',
+  '"><svg onload="window.__injected = true">',
+  "' onmouseover='window.__injected = true",
+  '<a href="javascript:window.__injected = true">click</a>',
+  '&lt;b&gt;already escaped&lt;/b&gt;',
+];
+
+const expectNoInjectedMarkup = (root) => {
+  expect(root.querySelectorAll('img:not(.weather-icon), script, svg, a, b')).toHaveLength(0);
+  for (const element of root.querySelectorAll('*')) {
+    for (const { name } of element.attributes) {
+      expect(name.startsWith('on')).toBe(false);
+    }
+  }
+  expect(window.__injected).toBeUndefined();
+};
+
+const weatherResponse = (text) => ({
+  location: { name: text, region: text, country: text },
+  current: {
+    temp_f: 50, temp_c: 10, feelslike_f: 48, feelslike_c: 9,
+    wind_mph: 5, wind_kph: 8, wind_dir: text, humidity: 80,
+    condition: { text, icon: text },
+    air_quality: { 'us-epa-index': text, pm2_5: 1, pm10: 2, o3: 3 },
+  },
+  forecast: {
+    forecastday: [{
+      date: '2024-05-01',
+      day: { maxtemp_f: 60, maxtemp_c: 16, mintemp_f: 40, mintemp_c: 4, daily_chance_of_rain: text, condition: { text, icon: text } },
+    }],
+  },
+});
+
+beforeEach(() => {
+  document.body.innerHTML = '<div id="logOutput"></div><div id="weather"></div>';
+  delete window.__injected;
+});
+
+describe.each(HOSTILE_STRINGS)('hostile input %s', (hostile) => {
+  it('logToUI renders span names, types and details as text', () => {
+    logToUI(hostile, { traceId: hostile, spanId: hostile }, 'manual', { [hostile]: hostile });
+
+    const entry = document.querySelector('#logOutput .log-entry');
+    expectNoInjectedMarkup(entry);
+    expect(entry.textContent).toContain(`Span: ${hostile}`);
+    expect(entry.textContent).toContain(`${hostile}: ${hostile}`);
+    expect(entry.querySelector('.log-trace-id').textContent).toBe(hostile);
+  });
+
+  it('logToUI keeps a hostile type out of the markup', () => {
+    logToUI('span', null, hostile);
+
+    const entry = document.querySelector('#logOutput .log-entry');
+    expectNoInjectedMarkup(entry);
+    expect(entry.querySelector('.log-type').textContent).toBe(hostile);
+  });
+
+  it('log renders messages, types and details as text', () => {
+    log(hostile, hostile, { [hostile]: hostile });
+
+    const entry = document.querySelector('#logOutput .log-entry');
+    expectNoInjectedMarkup(entry);
+    expect(entry.textContent).toContain(hostile);
+    expect(entry.textContent).toContain(`${hostile}: ${hostile}`);
+  });
+
+  it('renderWeather renders API response fields as text', () => {
+    const container = renderWeather(weatherResponse(hostile));
+
+    expectNoInjectedMarkup(container);
+    expect(container.querySelector('h2').textContent).toBe(`${hostile}, ${hostile}, ${hostile}`);
+    expect(container.querySelector('.weather-condition').textContent).toBe(hostile);
+    for (const icon of container.querySelectorAll('.weather-icon')) {
+      expect(icon.getAttribute('src')).toBeNull();
+      expect(icon.alt).toBe(hostile);
+    }
+  });
+});
+
+describe('renderWeather icons', () => {
+  it('loads protocol-relative weatherapi.com icons over https', () => {
+    const data = weatherResponse('Seattle');
+    data.current.condition.icon = '//cdn.weatherapi.com/weather/64x64/day/116.png';
+
+    const container = renderWeather(data);
+
+    expect(container.querySelector('.weather-current .weather-icon').src)
+      .toBe('https://cdn.weatherapi.com/weather/64x64/day/116.png');
+  });
+
+  it('drops javascript: and data: URLs', () => {
+    for (const icon of ['javascript:window.__injected=true', 'data:text/html,<script>window.__injected=true</script>']) {
+      const data = weatherResponse('Seattle');
+      data.current.condition.icon = icon;
+
+      const container = renderWeather(data);
+
+      expect(container.querySelector('.weather-current .weather-icon').getAttribute('src')).toBeNull();
+    }
+  });
+});
+
+describe('renderWeather air quality', () => {
+  it('renders the card when a pollutant reading is missing', () => {
+    const data = weatherResponse('Seattle');
+    delete data.current.air_quality.pm10;
+
+    const container = renderWeather(data);
+
+    const { textContent: text } = container;
+    expect(text).toContain('1.0 µg/m³');
+    expect(text).toContain('n/a');
+    expect(container.querySelector('.weather-forecast')).not.toBeNull();
+  });
+});
+
+describe('initLogPanel', () => {
+  it('renders the ready entry and wires Clear on an already-parsed page', () => {
+    document.body.innerHTML = '<button id="clearLogs">Clear</button><div id="logOutput"><p>stale</p></div>';
+    expect(document.readyState).toBe('complete');
+
+    initLogPanel();
+
+    const output = document.querySelector('#logOutput');
+    expect(output.querySelector('.log-type').textContent).toBe('READY');
+
+    document.querySelector('#clearLogs').click();
+    expect(output.children).toHaveLength(0);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { ROOT_CONTEXT, TraceFlags, trace } from '@opentelemetry/api';
+import { SamplingDecision } from '@opentelemetry/sdk-trace-base';
+
+import { createSampler } from '../public/sampling.js';
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+
+const unsampledParent = trace.setSpanContext(ROOT_CONTEXT, {
+  traceId: TRACE_ID,
+  spanId: 'b7ad6b7169203331',
+  traceFlags: TraceFlags.NONE,
+});
+
+const decide = (sampler, parentContext = ROOT_CONTEXT) =>
+  sampler.shouldSample(parentContext, TRACE_ID, 'getWeather', 0, {}, []).decision;
+
+describe('createSampler', () => {
+  it('records dropped spans so errors can still be kept', () => {
+    const sampler = createSampler({ ratio: 0, rules: [], keepErrors: true });
+
+    expect(decide(sampler)).toBe(SamplingDecision.RECORD);
+    expect(decide(sampler, unsampledParent)).toBe(SamplingDecision.RECORD);
+  });
+
+  it('does not record dropped spans when keepErrors is off', () => {
+    const sampler = createSampler({ ratio: 0, rules: [], keepErrors: false });
+
+    expect(decide(sampler)).toBe(SamplingDecision.NOT_RECORD);
+    expect(decide(sampler, unsampledParent)).toBe(SamplingDecision.NOT_RECORD);
+  });
+
+  it('samples traces a rule keeps either way', () => {
+    const sampler = createSampler({ ratio: 0, rules: [{ name: '^getWeather$', ratio: 1 }], keepErrors: false });
+
+    expect(decide(sampler)).toBe(SamplingDecision.RECORD_AND_SAMPLED);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+import { runScenario, validateScenario } from '../public/scenarios.js';
+import { SCENARIOS } from '../public/scenarioLibrary.js';
+import { findSpan, finishedSpans, spanTree, spanNames } from './helpers/tracing.js';
+import { jsonResponse, mockFetch, mockXHR } from './helpers/fetch.js';
+
+beforeEach(() => {
+  document.body.innerHTML = '<div id="logOutput"></div>';
+});
+
+// Answers every fetch with {} after `delayMillis`, aborting like a real fetch when the signal fires
+const slowFetch = (delayMillis) => mockFetch([
+  [/.*/, (url, init) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(jsonResponse({})), delayMillis);
+    init.signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+    });
+  })],
+]);
+
+describe('runScenario', () => {
+  it('runs the API cascade under one getDataCascade trace', async () => {
+    const xhrRequests = mockXHR({ status: 200 });
+    const fetchMock = mockFetch([['/users/1', () => jsonResponse({ id: 1 })]]);
+
+    const result = await runScenario(SCENARIOS['api-cascade']);
+
+    expect(result.status).toBe('passed');
+    expect(xhrRequests.map((req) => req.url)).toEqual([
+      'https://jsonplaceholder.typicode.com/posts/1',
+      'https://jsonplaceholder.typicode.com/todos/1',
+    ]);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    const roots = spanTree();
+    expect(roots).toHaveLength(1);
+    expect(spanNames(roots[0])).toEqual({
+      getDataCascade: [
+        'scenario.request',
+        { 'scenario.parallel': ['scenario.request', 'scenario.request'] },
+      ],
+    });
+    expect(roots[0].attributes).toMatchObject({
+      'scenario.name': 'api-cascade',
+      'scenario.status': 'passed',
+      'scenario.requests.passed': 3,
+      'scenario.requests.failed': 0,
+    });
+    expect(roots[0].children[0].attributes).toMatchObject({
+      'scenario.step.name': 'post',
+      'scenario.transport': 'xhr',
+      'http.response.status_code': 200,
+      'scenario.outcome': 'ok',
+    });
+  });
+
+  it('rejects XHR failures instead of leaving the step pending', async () => {
+    mockXHR({ networkError: true });
+
+    const result = await runScenario({
+      name: 'xhr-failure',
+      steps: [{ name: 'post', request: { url: 'https://example.test/posts/1', transport: 'xhr' } }],
+    });
+
+    expect(result.status).toBe('failed');
+    expect(result.steps[0]).toMatchObject({ status: 'failed', outcome: 'error', error: 'XHR request to https://example.test/posts/1 failed' });
+    const span = findSpan('scenario.request');
+    expect(span.attributes.error).toBe(true);
+    expect(span.events.some((event) => event.name === 'exception')).toBe(true);
+  });
+
+  it('stops a sequence at an unexpected failure and skips the rest', async () => {
+    mockFetch([
+      ['/posts/0', () => jsonResponse({}, 404)],
+      ['/posts/1', () => jsonResponse({ id: 1 })],
+    ]);
+
+    const result = await runScenario(SCENARIOS['unexpected-failure']);
+
+    expect(result.status).toBe('failed');
+    expect(result.steps.map((step) => step.status)).toEqual(['passed', 'failed', 'skipped']);
+    expect(result.steps[1]).toMatchObject({ httpStatus: 404, error: expect.stringContaining('responded with 404') });
+    expect(finishedSpans().filter((span) => span.name === 'scenario.request')).toHaveLength(2);
+    expect(findSpan('scenario.run').attributes).toMatchObject({
+      'scenario.status': 'failed',
+      'scenario.requests.passed': 1,
+      'scenario.requests.failed': 1,
+      'scenario.requests.skipped': 1,
+      'error': true,
+    });
+  });
+
+  it('keeps going after a failure when continueOnError is set', async () => {
+    mockFetch([
+      ['/posts/0', () => jsonResponse({}, 404)],
+      ['/posts/1', () => jsonResponse({ id: 1 })],
+    ]);
+
+    const result = await runScenario({ ...SCENARIOS['unexpected-failure'], continueOnError: true });
+
+    expect(result.steps.map((step) => step.status)).toEqual(['passed', 'failed', 'passed']);
+  });
+
+  it('passes expected errors and times out slow requests', async () => {
+    slowFetch(200);
+
+    const result = await runScenario({
+      name: 'timeouts',
+      steps: [{
+        name: 'both',
+        parallel: [
+          { name: 'too slow', expectError: true, request: { url: 'https://example.test/slow', timeoutMillis: 20 } },
+          { name: 'patient', request: { url: 'https://example.test/slow', timeoutMillis: 1000 } },
+        ],
+      }],
+    });
+
+    expect(result.status).toBe('passed');
+    const [tooSlow, patient] = result.steps[0].children;
+    expect(tooSlow).toMatchObject({ status: 'passed', outcome: 'error', error: expect.stringContaining('timed out after 20ms') });
+    expect(patient).toMatchObject({ status: 'passed', outcome: 'ok', httpStatus: 200 });
+
+    const tooSlowSpan = finishedSpans().find((span) => span.attributes['scenario.step.name'] === 'too slow');
+    expect(tooSlowSpan.attributes).toMatchObject({
+      'scenario.outcome': 'error',
+      'scenario.error.type': 'TimeoutError',
+      'scenario.step.status': 'passed',
+    });
+    expect(tooSlowSpan.attributes.error).toBeUndefined();
+    expect(tooSlowSpan.events.map((event) => event.name)).toContain('http.client.timeout');
+  });
+
+  it('fails an expected error that never happens', async () => {
+    mockFetch([[/.*/, () => jsonResponse({})]]);
+
+    const result = await runScenario({
+      name: 'should-fail',
+      steps: [{ name: 'ok', expectError: true, request: { url: 'https://example.test/ok' } }],
+    });
+
+    expect(result.steps[0]).toMatchObject({ status: 'failed', error: 'Expected an error but the request succeeded' });
+  });
+
+  it('records delays as events on the enclosing span', async () => {
+    mockFetch([[/.*/, () => jsonResponse({})]]);
+
+    await runScenario({
+      name: 'think-time',
+      steps: [{ name: 'pause', delay: 5 }, { request: { url: 'https://example.test/after' } }],
+    });
+
+    expect(findSpan('scenario.run').events.map((event) => event.name)).toEqual(['scenario.delay']);
+    expect(findSpan('scenario.request').attributes['scenario.step.name']).toBe('https://example.test/after');
+  });
+
+  it('ends every span with the exception when a step throws', async () => {
+    vi.spyOn(globalThis, 'setTimeout').mockImplementationOnce(() => {
+      throw new Error('timer unavailable');
+    });
+
+    await expect(runScenario({ name: 'broken', steps: [{ name: 'wait', sequence: [{ delay: 10 }] }] })).rejects.toThrow('timer unavailable');
+
+    const [root] = spanTree();
+    expect(spanNames(root)).toEqual({ 'scenario.run': ['scenario.sequence'] });
+    for (const span of [root.span, root.children[0].span]) {
+      expect(span.attributes.error).toBe(true);
+      expect(span.events.find((event) => event.name === 'exception').attributes['exception.message']).toBe('timer unavailable');
+    }
+  });
+});
+
+describe('validateScenario', () => {
+  it('accepts every built-in scenario', () => {
+    for (const scenario of Object.values(SCENARIOS)) {
+      expect(() => validateScenario(scenario)).not.toThrow();
+    }
+  });
+
+  it('rejects unknown step shapes and transports before sending anything', async () => {
+    const fetchMock = mockFetch([]);
+
+    await expect(runScenario({ name: 'bad', steps: [{ parallel: [{ wait: 5 }] }] })).rejects.toThrow(/needs one of request/);
+    await expect(runScenario({
+      name: 'bad-transport',
+      steps: [{ name: 'ws', request: { url: 'wss://example.test', transport: 'websocket' } }],
+    })).rejects.toThrow('Unknown transport "websocket" in scenario step "ws"');
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(finishedSpans()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const MINUTE = 60 * 1000;
+
+// A fresh module per test, so the in-memory session and user ID start empty
+let session;
+
+beforeEach(async () => {
+  sessionStorage.clear();
+  localStorage.clear();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.resetModules();
+  session = await import('../public/session.js');
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+const advance = (millis) => vi.setSystemTime(Date.now() + millis);
+
+describe('getSessionId', () => {
+  it('keeps the session while it is active and stores it in sessionStorage', () => {
+    const id = session.getSessionId();
+
+    advance(20 * MINUTE);
+    expect(session.getSessionId()).toBe(id);
+    expect(JSON.parse(sessionStorage.getItem('otel.session')).id).toBe(id);
+  });
+
+  it('rotates the session after 30 minutes of inactivity', () => {
+    const id = session.getSessionId();
+
+    advance(30 * MINUTE + 1);
+
+    expect(session.getSessionId()).not.toBe(id);
+  });
+
+  it('rotates the session after 4 hours even while active', () => {
+    const id = session.getSessionId();
+    for (let elapsed = 0; elapsed < 4 * 60; elapsed += 20) {
+      advance(20 * MINUTE);
+      expect(session.getSessionId()).toBe(id);
+    }
+
+    advance(1);
+
+    expect(session.getSessionId()).not.toBe(id);
+  });
+
+  it('resumes a session stored by an earlier page in the tab', async () => {
+    const id = session.getSessionId();
+
+    vi.resetModules();
+    const reloaded = await import('../public/session.js');
+
+    expect(reloaded.getSessionId()).toBe(id);
+  });
+
+  it('works in memory when reading the storage global throws, as in sandboxed iframes', () => {
+    vi.spyOn(window, 'sessionStorage', 'get').mockImplementation(() => {
+      throw new DOMException('The document is sandboxed', 'SecurityError');
+    });
+
+    const id = session.getSessionId();
+
+    expect(id).toEqual(expect.any(String));
+    expect(session.getSessionId()).toBe(id);
+  });
+});
+
+describe('userStorageKey', () => {
+  it('scopes keys to the user ID, or to anonymous without one', () => {
+    expect(session.userStorageKey('weather.units')).toBe('weather.units.anonymous');
+
+    session.setUserId('u-42');
+    expect(session.userStorageKey('weather.units')).toBe('weather.units.u-42');
+    expect(localStorage.getItem('otel.user.id')).toBe('u-42');
+
+    session.setUserId(null);
+    expect(session.userStorageKey('weather.units')).toBe('weather.units.anonymous');
+  });
+});
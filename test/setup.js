@@ -0,0 +1,16 @@
+import { afterEach, beforeEach, vi } from 'vitest';
+
+import { exporter, registerTracing } from './helpers/tracing.js';
+
+registerTracing();
+
+beforeEach(() => {
+  exporter.reset();
+  // log() echoes every entry to the console
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { context, trace } from '@opentelemetry/api';
+
+import { SpanRingBuffer, SpanBufferProcessor, clearBufferedSpans, getBufferedSpans } from '../public/spanBuffer.js';
+import { exportSpans, importSpans, parseTraceFile, toHar, toOtlpJson } from '../public/spanExport.js';
+import { clearTraces, onTracesChanged } from '../public/traceViewer.js';
+import { finishedSpans } from './helpers/tracing.js';
+
+// A getWeather span with a fetch span under it, as the app records them
+const recordWeatherTrace = () => {
+  const parent = trace.getTracer('vanilla-frontend').startSpan('getWeather', { attributes: { 'weather.city': 'seattle' } });
+  const fetchSpan = trace.getTracer('@opentelemetry/instrumentation-fetch').startSpan('weather-proxy-api', {
+    attributes: {
+      'http.method': 'GET',
+      'http.url': 'http://localhost:8123/api/weather?city=seattle',
+      'http.status_code': 200,
+      'http.status_text': 'OK',
+    },
+  }, trace.setSpan(context.active(), parent));
+  fetchSpan.addEvent('requestStart');
+  fetchSpan.addEvent('responseStart');
+  fetchSpan.addEvent('responseEnd');
+  fetchSpan.end();
+  parent.recordException(new Error('render failed'));
+  parent.end();
+  return finishedSpans();
+};
+
+const fileFrom = (content, name) => ({ name, text: async () => content });
+
+describe('SpanRingBuffer', () => {
+  it('keeps the most recent items, oldest first', () => {
+    const buffer = new SpanRingBuffer(3);
+    [1, 2, 3, 4, 5].forEach((item) => buffer.push(item));
+
+    expect(buffer.size).toBe(3);
+    expect(buffer.toArray()).toEqual([3, 4, 5]);
+
+    buffer.clear();
+    expect(buffer.toArray()).toEqual([]);
+  });
+
+  it('collects ended spans through its span processor', () => {
+    const processor = new SpanBufferProcessor(2);
+    recordWeatherTrace().forEach((span) => processor.onEnd(span));
+
+    expect(getBufferedSpans().map((span) => span.name)).toEqual(['weather-proxy-api', 'getWeather']);
+    clearBufferedSpans();
+    expect(getBufferedSpans()).toEqual([]);
+  });
+});
+
+describe('OTLP JSON export', () => {
+  it('round-trips spans, their parents, attributes and errors', () => {
+    const spans = recordWeatherTrace();
+    const body = JSON.parse(toOtlpJson(spans));
+    expect(body.resourceSpans[0].scopeSpans.map((scope) => scope.scope.name).sort())
+      .toEqual(['@opentelemetry/instrumentation-fetch', 'vanilla-frontend']);
+
+    const records = parseTraceFile(JSON.stringify(body));
+    const fetchRecord = records.find((record) => record.name === 'weather-proxy-api');
+    const parentRecord = records.find((record) => record.name === 'getWeather');
+
+    expect(fetchRecord).toMatchObject({
+      traceId: spans[0].spanContext().traceId,
+      parentSpanId: parentRecord.spanId,
+      type: 'fetch',
+      attributes: { 'http.status_code': 200, 'http.url': 'http://localhost:8123/api/weather?city=seattle' },
+      isError: false,
+    });
+    expect(parentRecord).toMatchObject({ type: 'manual', isError: true, parentSpanId: undefined });
+    expect(parentRecord.events.map((event) => event.name)).toEqual(['exception']);
+    expect(parentRecord.duration).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe('HAR export', () => {
+  it('writes fetch/XHR spans as HAR entries with their trace context', () => {
+    const spans = recordWeatherTrace();
+    const har = JSON.parse(toHar(spans));
+
+    expect(har.log.version).toBe('1.2');
+    expect(har.log.entries).toHaveLength(1);
+    const [entry] = har.log.entries;
+    expect(entry).toMatchObject({
+      request: { method: 'GET', url: 'http://localhost:8123/api/weather?city=seattle', queryString: [{ name: 'city', value: 'seattle' }] },
+      response: { status: 200, statusText: 'OK' },
+      _traceId: spans[0].spanContext().traceId,
+      _spanId: spans[0].spanContext().spanId,
+      _spanName: 'weather-proxy-api',
+    });
+    expect(entry.timings.wait).toBeGreaterThanOrEqual(0);
+    expect(entry.timings.dns).toBe(-1);
+  });
+
+  it('imports its own entries and devtools entries without trace context', () => {
+    const records = parseTraceFile(toHar(recordWeatherTrace()));
+    expect(records[0]).toMatchObject({ name: 'weather-proxy-api', type: 'fetch', isError: false });
+
+    const devtools = parseTraceFile(JSON.stringify({
+      log: {
+        entries: [
+          { startedDateTime: '2026-01-01T00:00:00.000Z', time: 120, request: { method: 'GET', url: 'https://example.test/a' }, response: { status: 200 } },
+          { startedDateTime: '2026-01-01T00:00:00.050Z', time: 30, request: { method: 'POST', url: 'https://example.test/b' }, response: { status: 500 } },
+        ],
+      },
+    }));
+    expect(devtools.map((record) => record.name)).toEqual(['GET https://example.test/a', 'POST https://example.test/b']);
+    expect(devtools[0].traceId).toBe(devtools[1].traceId);
+    expect(devtools[0].spanId).not.toBe(devtools[1].spanId);
+    expect(devtools.map((record) => record.isError)).toEqual([false, true]);
+  });
+});
+
+describe('exportSpans', () => {
+  // jsdom has no object URLs
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout'] });
+    URL.createObjectURL = vi.fn(() => 'blob:spans');
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('keeps the download URL until the click has been handled', () => {
+    document.body.innerHTML = '<div id="logOutput"></div>';
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.href).toBe('blob:spans');
+      expect(this.download).toMatch(/^spans-.+\.otlp\.json$/);
+    });
+
+    exportSpans('otlp');
+
+    expect(click).toHaveBeenCalledOnce();
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    vi.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:spans');
+  });
+});
+
+describe('importSpans', () => {
+  let shown;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="logOutput"></div>';
+    clearTraces();
+    shown = new Map();
+    onTracesChanged((traces) => {
+      shown = traces;
+    });
+  });
+
+  it('shows an imported file in the trace viewer, once per span', async () => {
+    const otlp = toOtlpJson(recordWeatherTrace());
+
+    await importSpans(fileFrom(otlp, 'spans.otlp.json'));
+    await importSpans(fileFrom(otlp, 'spans.otlp.json'));
+
+    const [spans] = [...shown.values()];
+    expect(shown.size).toBe(1);
+    expect(spans).toHaveLength(2);
+    expect(spans.every((span) => span.imported)).toBe(true);
+  });
+
+  it('reports files it cannot read', async () => {
+    expect(await importSpans(fileFrom('{"hello": "world"}', 'notes.json'))).toEqual([]);
+    expect(document.querySelector('#logOutput').textContent).toContain('Expected OTLP JSON (resourceSpans) or a HAR file (log.entries)');
+
+    expect(() => parseTraceFile('not json')).toThrow(/^Not a JSON file/);
+  });
+});
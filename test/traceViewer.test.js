@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { context, trace } from '@opentelemetry/api';
+
+import { finishedSpans } from './helpers/tracing.js';
+
+// A fresh module per test, so each starts with no traces and no open panels
+let viewer;
+let traceList;
+
+beforeEach(async () => {
+  document.body.innerHTML = `
+    <button id="showLogs"></button><button id="showTraces"></button><button id="clearLogs"></button>
+    <div id="logOutput"></div>
+    <div id="traceViewer" hidden>
+      <input id="traceFilterName"><select id="traceFilterType"></select><input id="traceFilterErrors" type="checkbox">
+      <div id="traceList"></div>
+    </div>
+  `;
+  vi.resetModules();
+  viewer = await import('../public/traceViewer.js');
+  viewer.initTraceViewer();
+  traceList = document.querySelector('#traceList');
+});
+
+const showTraces = () => document.querySelector('#showTraces').click();
+
+// A span record as the processor stores it, with times in milliseconds
+const record = (traceId, spanId, fields = {}) => ({
+  traceId,
+  spanId,
+  parentSpanId: undefined,
+  name: spanId,
+  type: 'manual',
+  startTime: 0,
+  endTime: 10,
+  duration: 10,
+  attributes: {},
+  events: [],
+  isError: false,
+  sampled: true,
+  ...fields,
+});
+
+const traceHeaders = () => [...traceList.querySelectorAll('.trace-name')].map((header) => header.textContent);
+const spanNamesShown = () => [...traceList.querySelectorAll('.span-name')].map((name) => name.textContent);
+const depthOf = (name) => [...traceList.querySelectorAll('.span-row')]
+  .find((row) => row.querySelector('.span-name').textContent === name).style.paddingLeft;
+
+const click = (selector) => {
+  traceList.querySelector(selector).click();
+};
+
+describe('TraceViewerSpanProcessor', () => {
+  it('groups ended spans by trace with their type, errors and sampling', () => {
+    const processor = new viewer.TraceViewerSpanProcessor();
+    let stored;
+    viewer.onTracesChanged((traces) => {
+      stored = traces;
+    });
+
+    const parent = trace.getTracer('vanilla-frontend').startSpan('getWeather');
+    trace.getTracer('@opentelemetry/instrumentation-fetch')
+      .startSpan('weather-proxy-api', {}, trace.setSpan(context.active(), parent))
+      .end();
+    parent.recordException(new Error('render failed'));
+    parent.end();
+    finishedSpans().forEach((span) => processor.onEnd(span));
+
+    const [spans] = stored.values();
+    expect(stored.size).toBe(1);
+    expect(spans.map(({ name, type, isError, sampled }) => ({ name, type, isError, sampled }))).toEqual([
+      { name: 'weather-proxy-api', type: 'fetch', isError: false, sampled: true },
+      { name: 'getWeather', type: 'manual', isError: true, sampled: true },
+    ]);
+    expect(spans[0].parentSpanId).toBe(spans[1].spanId);
+  });
+
+  it('keeps the 100 most recently active traces', () => {
+    let stored;
+    viewer.onTracesChanged((traces) => {
+      stored = traces;
+    });
+
+    viewer.importTraces(Array.from({ length: 101 }, (_, i) => record(`trace-${i}`, `span-${i}`)));
+
+    expect(stored.size).toBe(100);
+    expect(stored.has('trace-0')).toBe(false);
+    expect(stored.has('trace-100')).toBe(true);
+  });
+});
+
+describe('trace waterfall', () => {
+  it('nests children under their parents, ordered by start time', () => {
+    viewer.importTraces([
+      record('t1', 'render', { parentSpanId: 'root', startTime: 40 }),
+      record('t1', 'fetch', { parentSpanId: 'root', startTime: 10 }),
+      record('t1', 'root', { startTime: 0, endTime: 100, duration: 100 }),
+      record('t1', 'dns', { parentSpanId: 'fetch', startTime: 12 }),
+    ]);
+    showTraces();
+    click('.trace-header');
+
+    expect(traceHeaders()).toEqual(['root']);
+    expect(spanNamesShown()).toEqual(['root', 'fetch', 'dns', 'render']);
+    expect(depthOf('dns')).toBe('1.5rem');
+  });
+
+  it('shows spans whose parent is missing as roots', () => {
+    viewer.importTraces([
+      record('t1', 'orphan', { parentSpanId: 'not-recorded', startTime: 5 }),
+      record('t1', 'child', { parentSpanId: 'orphan', startTime: 6 }),
+    ]);
+    showTraces();
+    click('.trace-header');
+
+    expect(traceHeaders()).toEqual(['orphan']);
+    expect(depthOf('orphan')).toBe('0rem');
+    expect(depthOf('child')).toBe('0.75rem');
+  });
+
+  it('filters traces by span name, type and errors', () => {
+    viewer.importTraces([
+      record('t1', 'getWeather'),
+      record('t1', 'weather-proxy-api', { parentSpanId: 'getWeather', type: 'fetch' }),
+      record('t2', 'page.view', { type: 'web-vitals' }),
+      record('t3', 'exception.window.onerror', { type: 'error', isError: true }),
+    ]);
+    showTraces();
+    const filter = (selector, apply) => {
+      apply(document.querySelector(selector));
+      document.querySelector(selector).dispatchEvent(new Event(selector === '#traceFilterName' ? 'input' : 'change'));
+    };
+
+    filter('#traceFilterName', (input) => {
+      input.value = 'PROXY';
+    });
+    expect(traceHeaders()).toEqual(['getWeather']);
+
+    filter('#traceFilterName', (input) => {
+      input.value = '';
+    });
+    filter('#traceFilterType', (select) => {
+      select.value = 'web-vitals';
+    });
+    expect(traceHeaders()).toEqual(['page.view']);
+
+    filter('#traceFilterType', (select) => {
+      select.value = '';
+    });
+    filter('#traceFilterErrors', (checkbox) => {
+      checkbox.checked = true;
+    });
+    expect(traceHeaders()).toEqual(['exception.window.onerror']);
+  });
+
+  it('forgets opened panels when a trace is evicted', () => {
+    const opened = [record('t-old', 'root'), record('t-old', 'child', { parentSpanId: 'root' })];
+    viewer.importTraces(opened);
+    showTraces();
+    click('.trace-header');
+    click('[data-action="toggle-details"]');
+    click('[data-action="toggle-children"]');
+
+    viewer.importTraces(Array.from({ length: 100 }, (_, i) => record(`trace-${i}`, `span-${i}`)));
+    viewer.importTraces(opened);
+    showTraces();
+
+    const header = [...traceList.querySelectorAll('.trace-header')].find((button) => button.dataset.traceId === 't-old');
+    expect(header.querySelector('.trace-caret').textContent).toBe('▸');
+    header.click();
+    expect(traceList.querySelector('.span-details')).toBeNull();
+    expect(spanNamesShown()).toContain('child');
+  });
+
+  it('forgets opened panels when the traces are cleared', () => {
+    const opened = [record('t1', 'root'), record('t1', 'child', { parentSpanId: 'root' })];
+    viewer.importTraces(opened);
+    showTraces();
+    click('.trace-header');
+    click('[data-action="toggle-details"]');
+
+    document.querySelector('#clearLogs').click();
+    viewer.importTraces(opened);
+    showTraces();
+
+    expect(traceList.querySelector('.trace-caret').textContent).toBe('▸');
+    click('.trace-header');
+    expect(traceList.querySelector('.span-details')).toBeNull();
+  });
+});
@@ -0,0 +1,364 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+import { findSpan, spanTree, spanNames } from './helpers/tracing.js';
+import { jsonResponse, mockFetch } from './helpers/fetch.js';
+
+const seattle = {
+  location: { name: 'Seattle', region: 'Washington', country: 'USA' },
+  current: {
+    temp_f: 54, temp_c: 12, feelslike_f: 52, feelslike_c: 11,
+    wind_mph: 6, wind_kph: 10, wind_dir: 'SW', humidity: 70,
+    condition: { text: 'Cloudy', icon: '//cdn.weatherapi.com/weather/64x64/day/119.png' },
+  },
+};
+
+// A fresh module per test, so each starts with an empty browser cache
+let getWeather;
+let getWeatherBatch;
+let parseCityList;
+
+beforeEach(async () => {
+  document.body.innerHTML = '<div id="logOutput"></div><div id="weather"></div>';
+  vi.useRealTimers();
+  vi.resetModules();
+  ({ getWeather, getWeatherBatch, parseCityList } = await import('../public/weather.js'));
+});
+
+// Lookups that retry back off on timers; fake them and run them out instead of waiting
+const withRetries = async (lookup) => {
+  vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+  const result = lookup();
+  await vi.runAllTimersAsync();
+  vi.useRealTimers();
+  return result;
+};
+
+const backendReturns = (body, status = 200) => mockFetch([
+  ['/api/weather', () => jsonResponse(body, status)],
+]);
+
+describe('getWeather', () => {
+  it('fetches from the origin through the backend on a cache miss', async () => {
+    const fetchMock = backendReturns({ data: seattle, source: 'origin', cache_miss_reason: 'not_found', cached: true });
+
+    const result = await getWeather(' Seattle ');
+
+    expect(result).toEqual(seattle);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0]).toMatch(/\/api\/weather\?city=seattle$/);
+
+    const [root] = spanTree();
+    expect(spanNames(root)).toEqual({ getWeather: ['cache.check.browser'] });
+    expect(root.attributes).toMatchObject({
+      'weather.city': 'seattle',
+      'cache.tier': 'origin',
+      'cache.hit': false,
+      'cache.coalesced': false,
+      'cache.miss_reason': 'not_found',
+      'weather.api_called': true,
+      'weather.source': 'api',
+    });
+    expect(findSpan('cache.check.browser').attributes).toMatchObject({
+      'cache.operation': 'read',
+      'cache.backend': 'browser',
+      'cache.key': 'seattle',
+      'cache.hit': false,
+    });
+    expect(document.querySelector('#weather h2').textContent).toBe('Seattle, Washington, USA');
+  });
+
+  it('records a backend cache hit with its age', async () => {
+    backendReturns({ data: seattle, source: 'cache', age_seconds: 120 });
+
+    await getWeather('seattle');
+
+    const [root] = spanTree();
+    expect(spanNames(root)).toEqual({ getWeather: ['cache.check.browser'] });
+    expect(root.attributes).toMatchObject({
+      'cache.tier': 'backend',
+      'cache.hit': true,
+      'cache.age_seconds': 120,
+      'weather.api_called': false,
+      'weather.source': 'cache',
+    });
+  });
+
+  it('serves a repeat lookup from the browser cache without a request', async () => {
+    const fetchMock = backendReturns({ data: seattle, source: 'origin', cache_miss_reason: 'not_found', cached: true });
+
+    await getWeather('seattle');
+    await getWeather('Seattle');
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const [, second] = spanTree();
+    expect(second.attributes).toMatchObject({
+      'cache.tier': 'browser',
+      'cache.hit': true,
+      'cache.state': 'fresh',
+    });
+    expect(second.children[0].attributes).toMatchObject({
+      'cache.hit': true,
+      'cache.layer': 'memory',
+      'cache.state': 'fresh',
+    });
+  });
+
+  it('serves a stale entry and revalidates it in a child span', async () => {
+    const fetchMock = backendReturns({ data: seattle, source: 'cache', age_seconds: 10 });
+    vi.useFakeTimers({ toFake: ['Date'] });
+
+    await getWeather('seattle');
+    vi.setSystemTime(Date.now() + 11 * 60 * 1000);
+    await getWeather('seattle');
+    await vi.waitFor(() => expect(findSpan('cache.revalidate.browser')).toBeDefined());
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    const [, second] = spanTree();
+    expect(spanNames(second)).toEqual({ getWeather: ['cache.check.browser', 'cache.revalidate.browser'] });
+    expect(second.attributes).toMatchObject({ 'cache.tier': 'browser', 'cache.state': 'stale' });
+    expect(findSpan('cache.revalidate.browser').attributes).toMatchObject({
+      'cache.key': 'seattle',
+      'cache.tier': 'backend',
+      'cache.coalesced': false,
+    });
+  });
+
+  it('coalesces concurrent lookups for the same city into one request', async () => {
+    const fetchMock = backendReturns({ data: seattle, source: 'origin', cache_miss_reason: 'not_found', cached: true });
+
+    await Promise.all([getWeather('seattle'), getWeather('SEATTLE')]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const coalesced = spanTree().map((root) => root.attributes['cache.coalesced']);
+    expect(coalesced.sort()).toEqual([false, true]);
+  });
+
+  it('marks the span as an error when the backend fails', async () => {
+    backendReturns({ detail: 'Weather API unreachable' }, 502);
+
+    const result = await withRetries(() => getWeather('seattle'));
+
+    expect(result).toBeUndefined();
+    const [root] = spanTree();
+    expect(spanNames(root)).toEqual({ getWeather: ['cache.check.browser'] });
+    expect(root.attributes.error).toBe(true);
+    expect(root.attributes['cache.tier']).toBeUndefined();
+    const exception = root.span.events.find((event) => event.name === 'exception');
+    expect(exception.attributes['exception.message']).toBe('Weather API unreachable');
+    expect(document.querySelector('#logOutput').textContent).toContain('Error fetching weather data');
+  });
+
+  it("doesn't cache failed lookups", async () => {
+    const fetchMock = backendReturns({ detail: 'Weather API unreachable' }, 502);
+
+    await withRetries(() => getWeather('seattle'));
+    await withRetries(() => getWeather('seattle'));
+
+    // Each lookup retries the 502 twice
+    expect(fetchMock).toHaveBeenCalledTimes(6);
+  });
+
+  it('records network failures as exceptions', async () => {
+    mockFetch([]);
+
+    await withRetries(() => getWeather('seattle'));
+
+    const root = findSpan('getWeather');
+    expect(root.attributes.error).toBe(true);
+    expect(root.attributes['http.client.attempts']).toBe(3);
+    const exception = root.events.find((event) => event.name === 'exception');
+    expect(exception.attributes['exception.type']).toBe('TypeError');
+  });
+
+  it('records retried attempts as span events', async () => {
+    let calls = 0;
+    mockFetch([['/api/weather', () => (++calls === 1
+      ? jsonResponse({ detail: 'Bad gateway' }, 502)
+      : jsonResponse({ data: seattle, source: 'cache', age_seconds: 5 }))]]);
+
+    await withRetries(() => getWeather('seattle'));
+
+    const root = findSpan('getWeather');
+    expect(root.attributes).toMatchObject({ 'cache.tier': 'backend', 'http.client.attempts': 2 });
+    expect(root.events.map((event) => event.name)).toEqual(['http.client.attempt', 'http.client.retry', 'http.client.attempt']);
+    expect(root.events[0].attributes).toMatchObject({ 'http.client.outcome': 'retryable_status', 'http.response.status_code': 502 });
+  });
+
+  it('skips the backend cache once the circuit breaker opens, then tries it again', async () => {
+    const fetchMock = backendReturns({ data: seattle, source: 'origin', cache_miss_reason: 'error', cached: false, cache_error: true });
+    vi.useFakeTimers({ toFake: ['Date'] });
+
+    // Distinct cities, so the browser cache doesn't answer
+    for (const city of ['a', 'b', 'c']) {
+      await getWeather(city);
+    }
+    const opened = spanTree().at(-1);
+    expect(opened.span.events.find((event) => event.name === 'circuit_breaker.state_change').attributes)
+      .toMatchObject({ 'circuit_breaker.from': 'closed', 'circuit_breaker.to': 'open' });
+
+    await getWeather('d');
+    expect(fetchMock.mock.calls.at(-1)[0]).toMatch(/city=d&cache=skip$/);
+    expect(spanTree().at(-1).attributes).toMatchObject({
+      'circuit_breaker.state': 'open',
+      'cache.backend.skipped': true,
+      'cache.tier': 'origin',
+    });
+
+    // After the reset timeout one trial request uses the cache again
+    vi.setSystemTime(Date.now() + 31 * 1000);
+    fetchMock.mockImplementation(async () => jsonResponse({ data: seattle, source: 'cache', age_seconds: 1 }));
+    await getWeather('e');
+    expect(fetchMock.mock.calls.at(-1)[0]).toMatch(/city=e$/);
+    const trial = spanTree().at(-1);
+    expect(trial.attributes['circuit_breaker.state']).toBe('half-open');
+    expect(trial.span.events.filter((event) => event.name === 'circuit_breaker.state_change').map((event) => event.attributes['circuit_breaker.to']))
+      .toEqual(['half-open', 'closed']);
+  });
+
+  it('ends the half-open trial on a client error, so the next lookup can try the cache', async () => {
+    const fetchMock = backendReturns({ data: seattle, source: 'origin', cache_miss_reason: 'error', cached: false, cache_error: true });
+    vi.useFakeTimers({ toFake: ['Date'] });
+    for (const city of ['a', 'b', 'c']) {
+      await getWeather(city);
+    }
+
+    vi.setSystemTime(Date.now() + 31 * 1000);
+    fetchMock.mockImplementation(async () => jsonResponse({ detail: 'No matching location found.' }, 400));
+    await getWeather('nowhere');
+    expect(spanTree().at(-1).attributes['circuit_breaker.state']).toBe('half-open');
+
+    fetchMock.mockImplementation(async () => jsonResponse({ data: seattle, source: 'cache', age_seconds: 1 }));
+    await getWeather('e');
+    expect(fetchMock.mock.calls.at(-1)[0]).toMatch(/city=e$/);
+    expect(spanTree().at(-1).attributes['circuit_breaker.state']).toBe('closed');
+  });
+
+  it("doesn't retry a timed-out lookup or count it against the cache", async () => {
+    const fetchMock = mockFetch([['/api/weather', (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+    })]]);
+
+    for (const city of ['a', 'b', 'c']) {
+      await withRetries(() => getWeather(city));
+    }
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    const root = spanTree().at(-1);
+    expect(root.attributes).toMatchObject({ 'error': true, 'http.client.attempts': 1, 'circuit_breaker.state': 'closed' });
+    expect(root.span.events.map((event) => event.name)).toEqual(['http.client.timeout', 'exception']);
+  });
+});
+
+describe('parseCityList', () => {
+  it('splits, normalizes and de-duplicates a list of cities', () => {
+    expect(parseCityList(' Seattle, portland;; SEATTLE ,')).toEqual(['seattle', 'portland']);
+    expect(parseCityList('')).toEqual([]);
+  });
+
+  it('caps a comparison at ten cities', () => {
+    const cities = Array.from({ length: 12 }, (_, i) => `city ${i}`);
+    expect(parseCityList(cities.join(','))).toHaveLength(10);
+  });
+});
+
+describe('getWeatherBatch', () => {
+  const cityData = (name) => ({ ...seattle, location: { ...seattle.location, name } });
+
+  it('traces each city as a child of one batch span and renders a comparison grid', async () => {
+    mockFetch([
+      ['/api/weather', (url) => jsonResponse({ data: cityData(new URL(url).searchParams.get('city')), source: 'origin' })],
+    ]);
+
+    const results = await getWeatherBatch(['Seattle', 'Portland', 'seattle']);
+
+    expect(results.map((result) => [result.city, result.status])).toEqual([['seattle', 'ok'], ['portland', 'ok']]);
+
+    const [root] = spanTree();
+    expect(spanNames(root)).toEqual({
+      getWeatherBatch: [
+        { getWeather: ['cache.check.browser'] },
+        { getWeather: ['cache.check.browser'] },
+      ],
+    });
+    expect(root.attributes).toMatchObject({
+      'weather.batch.size': 2,
+      'weather.batch.concurrency': 3,
+      'weather.batch.cities': ['seattle', 'portland'],
+      'weather.batch.succeeded': 2,
+      'weather.batch.failed': 0,
+    });
+    expect(root.children.map((child) => child.attributes['weather.city'])).toEqual(['seattle', 'portland']);
+
+    const rows = [...document.querySelectorAll('#weather tbody tr')];
+    expect(rows.map((row) => row.dataset.city)).toEqual(['seattle', 'portland']);
+    expect(rows[1].querySelector('th').textContent).toBe('portland, Washington');
+  });
+
+  it('keeps at most three lookups in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    mockFetch([
+      ['/api/weather', async (url) => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        inFlight -= 1;
+        return jsonResponse({ data: cityData(new URL(url).searchParams.get('city')), source: 'origin' });
+      }],
+    ]);
+
+    const results = await getWeatherBatch(['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+
+    expect(results.every((result) => result.status === 'ok')).toBe(true);
+    expect(maxInFlight).toBe(3);
+  });
+
+  it('shows a failed city in its row without aborting the others', async () => {
+    mockFetch([
+      [/city=atlantis/, () => jsonResponse({ detail: 'No matching location found.' }, 400)],
+      ['/api/weather', (url) => jsonResponse({ data: cityData(new URL(url).searchParams.get('city')), source: 'origin' })],
+    ]);
+
+    const results = await getWeatherBatch(['seattle', 'atlantis', 'portland']);
+
+    expect(results.map((result) => result.status)).toEqual(['ok', 'error', 'ok']);
+    expect(results[1].error).toBe('No matching location found.');
+
+    const [root] = spanTree();
+    expect(root.attributes).toMatchObject({
+      'weather.batch.succeeded': 2,
+      'weather.batch.failed': 1,
+      'weather.batch.failed_cities': ['atlantis'],
+    });
+    expect(root.attributes.error).toBeUndefined();
+    const failed = root.children.find((child) => child.attributes['weather.city'] === 'atlantis');
+    expect(failed.attributes.error).toBe(true);
+    expect(failed.span.events.some((event) => event.name === 'exception')).toBe(true);
+
+    const errorRow = document.querySelector('#weather tr[data-city="atlantis"]');
+    expect(errorRow.classList.contains('error')).toBe(true);
+    expect(errorRow.querySelector('.weather-compare-message').textContent).toBe('No matching location found.');
+  });
+
+  it('marks the batch as an error when every city fails', async () => {
+    backendReturns({ detail: 'No matching location found.' }, 400);
+
+    const results = await getWeatherBatch(['nowhere', 'elsewhere']);
+
+    expect(results.map((result) => result.status)).toEqual(['error', 'error']);
+    expect(findSpan('getWeatherBatch').attributes.error).toBe(true);
+  });
+
+  it('ends the batch span with the exception when rendering fails', async () => {
+    const fetchMock = backendReturns({ data: seattle, source: 'origin' });
+    document.querySelector('#weather').remove();
+
+    await expect(getWeatherBatch(['seattle', 'portland'])).rejects.toThrow(TypeError);
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    const [root] = spanTree();
+    expect(root.name).toBe('getWeatherBatch');
+    expect(root.attributes.error).toBe(true);
+    expect(root.span.events.find((event) => event.name === 'exception').attributes['exception.type']).toBe('TypeError');
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { metrics } from '@opentelemetry/api';
+import { MeterProvider, MetricReader } from '@opentelemetry/sdk-metrics';
+
+import { initWebVitals } from '../public/webVitals.js';
+import { findSpan, finishedSpans } from './helpers/tracing.js';
+
+// web-vitals reports through callbacks; keep them so tests can report metrics directly
+const vitalCallbacks = vi.hoisted(() => ({}));
+vi.mock('web-vitals', () => Object.fromEntries(['CLS', 'FCP', 'INP', 'LCP', 'TTFB'].map((name) => [
+  `on${name}`,
+  (callback) => {
+    vitalCallbacks[name] = callback;
+  },
+])));
+
+class TestReader extends MetricReader {
+  async onForceFlush() {}
+  async onShutdown() {}
+}
+
+// A PerformanceObserver that supports long tasks and lets the test deliver entries
+let deliverLongTasks;
+class FakePerformanceObserver {
+  static supportedEntryTypes = ['longtask'];
+
+  constructor(callback) {
+    deliverLongTasks = (entries) => callback({ getEntries: () => entries });
+  }
+
+  observe() {}
+}
+
+const collectedPoints = async (reader, name) => {
+  const { resourceMetrics } = await reader.collect();
+  const metric = resourceMetrics.scopeMetrics
+    .flatMap((scope) => scope.metrics)
+    .find((candidate) => candidate.descriptor.name === name);
+  return metric?.dataPoints ?? [];
+};
+
+const toMillis = ([seconds, nanos]) => seconds * 1000 + nanos / 1e6;
+
+let reader;
+
+beforeEach(() => {
+  vi.stubGlobal('PerformanceObserver', FakePerformanceObserver);
+  reader = new TestReader();
+  metrics.setGlobalMeterProvider(new MeterProvider({ readers: [reader] }));
+});
+
+afterEach(() => {
+  metrics.disable();
+});
+
+describe('initWebVitals', () => {
+  it('records a page.view span that lasts until the page is hidden', () => {
+    initWebVitals();
+    expect(findSpan('page.view')).toBeUndefined();
+
+    window.dispatchEvent(new Event('pagehide'));
+
+    const pageView = findSpan('page.view');
+    expect(pageView.parentSpanId).toBeUndefined();
+    expect(pageView.attributes).toMatchObject({
+      'page.url': window.location.href,
+      'page.path': window.location.pathname,
+    });
+    expect(toMillis(pageView.startTime)).toBeCloseTo(performance.timeOrigin, 0);
+  });
+
+  it('records each vital as a child span and a histogram', async () => {
+    const pageView = initWebVitals();
+
+    vitalCallbacks.LCP({ name: 'LCP', value: 1200, delta: 1200, rating: 'good', id: 'v1-lcp', navigationType: 'navigate' });
+    vitalCallbacks.CLS({ name: 'CLS', value: 0.3, delta: 0.1, rating: 'poor', id: 'v1-cls', navigationType: 'navigate' });
+
+    const lcp = findSpan('web-vital.LCP');
+    expect(lcp.parentSpanId).toBe(pageView.spanContext().spanId);
+    expect(lcp.attributes).toMatchObject({ 'web_vital.value': 1200, 'web_vital.rating': 'good', 'web_vital.id': 'v1-lcp' });
+    // Navigation-timed vitals span from navigation start to when they were reached
+    expect(toMillis(lcp.endTime) - toMillis(lcp.startTime)).toBeCloseTo(1200, 0);
+    expect(findSpan('web-vital.CLS').parentSpanId).toBe(pageView.spanContext().spanId);
+
+    const [lcpPoint] = await collectedPoints(reader, 'web_vitals.lcp');
+    expect(lcpPoint.value.sum).toBe(1200);
+    expect(lcpPoint.attributes).toEqual({ 'web_vital.rating': 'good', 'page.path': window.location.pathname });
+    const [clsPoint] = await collectedPoints(reader, 'web_vitals.cls');
+    expect(clsPoint.attributes['web_vital.rating']).toBe('poor');
+
+    window.dispatchEvent(new Event('pagehide'));
+  });
+
+  it('records long tasks as child spans and a histogram', async () => {
+    const pageView = initWebVitals();
+
+    deliverLongTasks([{
+      name: 'self',
+      startTime: 500,
+      duration: 120,
+      attribution: [{ containerType: 'iframe', containerSrc: 'https://ads.test/frame' }],
+    }]);
+
+    const longTask = findSpan('longtask');
+    expect(longTask.parentSpanId).toBe(pageView.spanContext().spanId);
+    expect(longTask.attributes).toMatchObject({
+      'longtask.duration': 120,
+      'longtask.name': 'self',
+      'longtask.attribution.container_type': 'iframe',
+      'longtask.attribution.container_src': 'https://ads.test/frame',
+    });
+    expect(toMillis(longTask.startTime)).toBeCloseTo(performance.timeOrigin + 500, 0);
+    expect(toMillis(longTask.endTime) - toMillis(longTask.startTime)).toBeCloseTo(120, 0);
+
+    const [point] = await collectedPoints(reader, 'browser.longtask.duration');
+    expect(point.value.sum).toBe(120);
+
+    window.dispatchEvent(new Event('pagehide'));
+    expect(finishedSpans().map((span) => span.name)).toEqual(['longtask', 'page.view']);
+  });
+
+  it('skips long tasks where the browser does not support them', () => {
+    vi.stubGlobal('PerformanceObserver', class extends FakePerformanceObserver {
+      static supportedEntryTypes = [];
+    });
+    deliverLongTasks = null;
+
+    initWebVitals();
+
+    expect(deliverLongTasks).toBeNull();
+    window.dispatchEvent(new Event('pagehide'));
+  });
+});
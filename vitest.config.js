@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    // Browser modules expect document, window and storage
+    environment: 'jsdom',
+    include: ['test/**/*.test.js'],
+    // In-memory span exporter and AsyncLocalStorage context manager for every test file
+    setupFiles: ['test/setup.js'],
+  },
+});